@@ -8,3 +8,9 @@ module.exports.__defineGetter__("memoryBackend", function () {
 module.exports.__defineGetter__("mongodbBackend", function () {
     return require("./lib/mongodb-backend.js");
 });
+module.exports.__defineGetter__("sqlBackend", function () {
+    return require("./lib/sql-backend.js");
+});
+module.exports.__defineGetter__("fileBackend", function () {
+    return require("./lib/file-backend.js");
+});
@@ -10,17 +10,31 @@
   Users:
 
   acl_roles_{userid} = set(roles)
+  acl_expires_users_{userid} = set("{expiresAt}:{role}") // Only the roles given for a limited time.
 
   Roles:
 
   acl_roles = {roleNames} // Used to remove all the permissions associated to ONE resource.
 
   acl_parents_{roleName} = set(parents)
+  acl_children_{roleName} = set(children) // Reverse index of the parents, see roleChildren().
   acl_resources_{roleName} = set(resourceNames)
+  acl_denies_{roleName} = set(resourceNames)
 
   Permissions:
 
-  acl_allows_{resourceName}_{roleName} = set(permissions)
+  acl_allows_{resourceName}_{roleName} = set(permissions) // Conditional ones as "{permission}?{conditionName}".
+  acl_expires_allows_{resourceName}_{roleName} = set("{expiresAt}:{permission}") // Only the expiring permissions.
+  acl_denies_{resourceName}_{roleName} = set(permissions)
+
+  Resources:
+
+  acl_owners_{resourceName} = set(userId)
+
+  acl_meta_patterns = {resourcePatterns} // Resource names containing wildcards, see matchesPattern().
+  acl_meta_owned = {resourceNames} // Resources having an owner, used by export().
+  acl_meta_resources = {resourceNames} // Resources given permissions, used by listResources().
+  acl_meta_indexes = {indexNames} // Indexes filled in for the data stored before they existed, see _fillIndex().
 
   Note: user ids, role names and resource names are all case sensitive.
 
@@ -31,63 +45,155 @@
 */
 const _ = require("lodash"),
     util = require("util"),
-    contract = require("./contract");
+    EventEmitter = require("events"),
+    contract = require("./contract"),
+    CachedBackend = require("./cached-backend"),
+    ScopedBackend = require("./scoped-backend");
 
 contract.debug = true;
 
 const Acl = function (backend, logger, options) {
     contract(arguments).params("object").params("object", "object").params("object", "object", "object").end();
 
-    options = _.extend(
-        {
-            buckets: {
-                meta: "meta",
-                parents: "parents",
-                permissions: "permissions",
-                resources: "resources",
-                roles: "roles",
-                users: "users",
-            },
-        },
-        options
-    );
+    options = _.extend({ ownerRole: "owner" }, options);
+    // The given bucket names replace the default ones one by one, so that the buckets they omit keep their own.
+    options.buckets = _.defaults({}, options.buckets, {
+        meta: "meta",
+        children: "children",
+        denies: "denies",
+        owners: "owners",
+        parents: "parents",
+        permissions: "permissions",
+        resources: "resources",
+        roles: "roles",
+        users: "users",
+    });
+
+    EventEmitter.call(this);
+
+    if (options.cache) {
+        backend = new CachedBackend({ ...options.cache, backend, logger });
+    }
 
     this.logger = logger;
     this.backend = backend;
     this.options = options;
+    this.conditions = {};
+};
+
+//
+// Acl emits audit events:
+//   "mutation" after every successful change, like allow() or addUserRoles(),
+//   "decision" after every isAllowed() call.
+//
+// Events are {operation, args, result, actor, tenant, timestamp}, see _audit().
+//
+util.inherits(Acl, EventEmitter);
+
+/**
+  addCondition( name, condition )
+
+  Registers a condition function which grants can refer to by name, see allow().
+
+  The condition is called with the context given to isAllowed() and the details
+  of the checked permission, and should return (or resolve) a boolean.
+
+  @param {String} name Condition name.
+  @param {Function} condition function(context, {resource, permission}).
+*/
+Acl.prototype.addCondition = function (name, condition) {
+    contract(arguments).params("string", "function").end();
+
+    if (name.indexOf("?") !== -1) {
+        throw new Error(`Condition names can not contain "?": ${name}`);
+    }
+    this.conditions[name] = condition;
+};
+
+/**
+  tenant( name ) : acl
+
+  Returns an acl scoped to the given tenant (or domain). Its users, roles, parents, resources
+  and permissions are isolated from the other tenants, while sharing this acl's backend
+  connection, logger, options and conditions.
+
+  @param {String} name Tenant name. Can not contain ":".
+  @return {Acl} The scoped acl.
+*/
+Acl.prototype.tenant = function (name) {
+    contract(arguments).params("string").end();
+
+    const acl = Object.create(this);
+    acl.backend = new ScopedBackend({ backend: this.backend, scope: name });
+    acl.tenantName = name;
+    return acl;
+};
+
+/**
+  withActor( actor ) : acl
+
+  Returns an acl which reports the given actor in its audit events,
+  e.g. acl.withActor(req.user.id).allow(...). Everything else is shared with this acl.
+
+  @param {String|Object} actor Who makes the changes or asks for the decisions.
+  @return {Acl} The acl acting on behalf of the actor.
+*/
+Acl.prototype.withActor = function (actor) {
+    contract(arguments).params("string|object").end();
+
+    const acl = Object.create(this);
+    acl.actor = actor;
+    return acl;
 };
 
 /**
-  addUserRoles( userId, roles )
+  addUserRoles( userId, roles, options )
 
   Adds roles to a given user id.
 
+  The roles can be given for a limited time only, in which case they are ignored
+  once expired. Adding a role again replaces its expiry time, adding it without
+  options makes it permanent. The expired roles of the user are removed along the way.
+
   @param {String} userId
   @param {String|Array} roles to add to the user id.
+  @param {Object} options [optional] {expiresAt: {Date|Number}} or {ttl: {Number} seconds}
   @return {Promise} Promise resolved when finished
 */
-Acl.prototype.addUserRoles = async function (userId, roles) {
-    contract(arguments).params("string", "string|array").end();
+Acl.prototype.addUserRoles = async function (userId, roles, options) {
+    contract(arguments).params("string", "string|array").params("string", "string|array", "object").end();
 
-    const transaction = await this.backend.begin();
-    await this.backend.add(transaction, this.options.buckets.meta, "users", userId);
-    await this.backend.add(transaction, this.options.buckets.users, userId, roles);
+    roles = makeArray(roles);
+    const expiresAt = expiryTime(options);
+    const expiries = await this.backend.get(expiresBucket(this.options.buckets.users), userId);
+
+    await this._transaction(async (transaction) => {
+        await this.backend.add(transaction, this.options.buckets.meta, "users", userId);
+        await this.backend.add(transaction, this.options.buckets.users, userId, roles);
 
-    if (Array.isArray(roles)) {
         for (const role of roles) {
             await this.backend.add(transaction, this.options.buckets.roles, role, userId);
         }
-    } else {
-        await this.backend.add(transaction, this.options.buckets.roles, roles, userId);
-    }
 
-    return await this.backend.end(transaction);
+        await this._removeRoleExpiries(transaction, userId, roles, expiries);
+        await this._purgeExpiredRoles(transaction, userId, expiries, roles);
+        if (expiresAt) {
+            const usersExpiries = roles.map((role) => expiryEntry(expiresAt, role));
+            await this.backend.add(transaction, expiresBucket(this.options.buckets.users), userId, usersExpiries);
+            for (const role of roles) {
+                const entry = expiryEntry(expiresAt, userId);
+                await this.backend.add(transaction, expiresBucket(this.options.buckets.roles), role, entry);
+            }
+        }
+    });
+    this._audit("mutation", "addUserRoles", { userId, roles, options });
 };
 
 /**
   removeUserRoles( userId, roles )
 
-  Remove roles from a given user.
+  Remove roles from a given user. The expired roles of the user are removed too,
+  and the user leaves the users list once left without roles.
 
   @param {String} userId
   @param {String|Array} roles to remove to the user id.
@@ -96,41 +202,119 @@ Acl.prototype.addUserRoles = async function (userId, roles) {
 Acl.prototype.removeUserRoles = async function (userId, roles) {
     contract(arguments).params("string", "string|array").end();
 
-    const transaction = await this.backend.begin();
-    await this.backend.remove(transaction, this.options.buckets.users, userId, roles);
+    roles = makeArray(roles);
+    const [current, expiries] = await Promise.all([
+        this.backend.get(this.options.buckets.users, userId),
+        this.backend.get(expiresBucket(this.options.buckets.users), userId),
+    ]);
+
+    await this._transaction(async (transaction) => {
+        await this.backend.remove(transaction, this.options.buckets.users, userId, roles);
 
-    if (Array.isArray(roles)) {
         for (const role of roles) {
             await this.backend.remove(transaction, this.options.buckets.roles, role, userId);
         }
-    } else {
-        await this.backend.remove(transaction, this.options.buckets.roles, roles, userId);
-    }
 
-    return await this.backend.end(transaction);
+        await this._removeRoleExpiries(transaction, userId, roles, expiries);
+        const expired = await this._purgeExpiredRoles(transaction, userId, expiries, roles);
+        if (_.difference(current, roles, expired).length === 0) {
+            await this.backend.remove(transaction, this.options.buckets.meta, "users", userId);
+        }
+    });
+    this._audit("mutation", "removeUserRoles", { userId, roles });
+};
+
+/**
+  removeUser( userId )
+
+  Removes a user from the system: their roles, expired or not, their ownership of resources and their
+  entry in the users list, in a single transaction.
+
+  @param {String} userId User to be removed
+  @return {Promise} Promise resolved when finished
+*/
+Acl.prototype.removeUser = async function (userId) {
+    contract(arguments).params("string").end();
+
+    const [roles, expiries, owned] = await Promise.all([
+        this.backend.get(this.options.buckets.users, userId),
+        this.backend.get(expiresBucket(this.options.buckets.users), userId),
+        this.backend.get(this.options.buckets.meta, "owned"),
+    ]);
+    const ownedByUser = await this._ownedResources(userId, owned);
+
+    await this._transaction(async (transaction) => {
+        for (const role of roles) {
+            await this.backend.remove(transaction, this.options.buckets.roles, role, userId);
+        }
+        for (const resource of ownedByUser) {
+            await this.backend.del(transaction, this.options.buckets.owners, resource);
+            await this.backend.remove(transaction, this.options.buckets.meta, "owned", resource);
+        }
+        await this._removeRoleExpiries(transaction, userId, roles, expiries);
+        await this.backend.del(transaction, this.options.buckets.users, userId);
+        await this.backend.del(transaction, expiresBucket(this.options.buckets.users), userId);
+        await this.backend.remove(transaction, this.options.buckets.meta, "users", userId);
+    });
+    this._audit("mutation", "removeUser", { userId });
+};
+
+/**
+  purgeExpiredRoles() : count
+
+  Removes the expired roles of every user from the storage, in a single transaction. The users left
+  without roles leave the users list. The expired roles are ignored anyway, purging only
+  reclaims their storage.
+
+  @return {Promise} Promise resolved with the number of removed roles
+*/
+Acl.prototype.purgeExpiredRoles = async function () {
+    const userIds = await this.backend.get(this.options.buckets.meta, "users");
+    const users = await Promise.all(
+        userIds.map((userId) =>
+            Promise.all([
+                this.backend.get(this.options.buckets.users, userId),
+                this.backend.get(expiresBucket(this.options.buckets.users), userId),
+            ])
+        )
+    );
+
+    let count = 0;
+    await this._transaction(async (transaction) => {
+        for (let index = 0; index < userIds.length; index++) {
+            const [roles, expiries] = users[index];
+            const expired = await this._purgeExpiredRoles(transaction, userIds[index], expiries, []);
+            if (_.difference(roles, expired).length === 0) {
+                await this.backend.remove(transaction, this.options.buckets.meta, "users", userIds[index]);
+            }
+            count += expired.length;
+        }
+    });
+    this._audit("mutation", "purgeExpiredRoles", {});
+    return count;
 };
 
 /**
   userRoles( userId )
 
-  Return all the roles from a given user.
+  Return all the roles from a given user. Expired roles are left out.
 
   @param {String} userId
   @return {Promise} Promise resolved with an array of user roles
 */
-Acl.prototype.userRoles = async function (userId) {
-    return await this.backend.get(this.options.buckets.users, userId);
+Acl.prototype.userRoles = function (userId) {
+    return this._getUnexpired(this.options.buckets.users, userId);
 };
 
 /**
     roleUsers( roleName ) : users
 
-    Return all users who has a given role.
+    Return all users who has a given role. Users whose role has expired are left out.
     @param {String} roleName
     @return {Promise} Promise resolved with an array of users
  */
 Acl.prototype.roleUsers = function (roleName) {
-    return this.backend.get(this.options.buckets.roles, roleName);
+    return this._getUnexpired(this.options.buckets.roles, roleName);
 };
 
 /**
@@ -147,11 +331,61 @@ Acl.prototype.hasRole = async function (userId, roleName) {
     return roles.indexOf(roleName) !== -1;
 };
 
+/**
+  listUsers( options ) : page
+
+  Lists the users, a page at a time, sorted in the order of the backend.
+
+  Resolves with {items, cursor}. Pass the cursor back to get the next page, there are
+  no more pages when it is undefined.
+
+  @param {Object} options [optional] {prefix: {String} only the user ids starting with it,
+                          limit: {Number} at most that many items per page (100 by default),
+                          cursor: {String} returned with the previous page}
+  @return {Promise} Promise resolved with the page
+*/
+Acl.prototype.listUsers = function (options) {
+    contract(arguments).params().params("object").end();
+
+    return this._list("users", options);
+};
+
+/**
+  listRoles( options ) : page
+
+  Lists the roles given permissions or parents, a page at a time, see listUsers().
+
+  @param {Object} options [optional] {prefix, limit, cursor}
+  @return {Promise} Promise resolved with the page
+*/
+Acl.prototype.listRoles = function (options) {
+    contract(arguments).params().params("object").end();
+
+    return this._list("roles", options);
+};
+
+/**
+  listResources( options ) : page
+
+  Lists the resources and resource patterns given permissions, a page at a time, see listUsers().
+
+  @param {Object} options [optional] {prefix, limit, cursor}
+  @return {Promise} Promise resolved with the page
+*/
+Acl.prototype.listResources = async function (options) {
+    contract(arguments).params().params("object").end();
+
+    await this._indexResources();
+    return await this._list("resources", options);
+};
+
 /**
   addRoleParents( role, parents )
 
   Adds a parent or parent list to role.
 
+  Rejects with a RoleCycleError if the role would become its own ancestor.
+
   @param {String} role Child role.
   @param {String|Array} parents Parent role(s) to be added.
   @return {Promise} Promise resolved when finished
@@ -159,10 +393,19 @@ Acl.prototype.hasRole = async function (userId, roleName) {
 Acl.prototype.addRoleParents = async function (role, parents) {
     contract(arguments).params("string", "string|array").end();
 
-    const transaction = await this.backend.begin();
-    await this.backend.add(transaction, this.options.buckets.meta, "roles", role);
-    await this.backend.add(transaction, this.options.buckets.parents, role, parents);
-    return await this.backend.end(transaction);
+    const ancestors = await this._allRoles(makeArray(parents));
+    if (ancestors.indexOf(role) !== -1) {
+        throw new RoleCycleError(role, makeArray(parents));
+    }
+
+    await this._transaction(async (transaction) => {
+        await this.backend.add(transaction, this.options.buckets.meta, "roles", role);
+        await this.backend.add(transaction, this.options.buckets.parents, role, parents);
+        for (const parent of makeArray(parents)) {
+            await this.backend.add(transaction, this.options.buckets.children, parent, role);
+        }
+    });
+    this._audit("mutation", "addRoleParents", { role, parents });
 };
 
 /**
@@ -179,19 +422,132 @@ Acl.prototype.addRoleParents = async function (role, parents) {
 Acl.prototype.removeRoleParents = async function (role, parents) {
     contract(arguments).params("string", "string|array").params("string").end();
 
-    const transaction = await this.backend.begin();
-    if (parents) {
-        await this.backend.remove(transaction, this.options.buckets.parents, role, parents);
-    } else {
-        await this.backend.del(transaction, this.options.buckets.parents, role);
+    const removed = parents ? makeArray(parents) : await this.backend.get(this.options.buckets.parents, role);
+    await this._transaction(async (transaction) => {
+        if (parents) {
+            await this.backend.remove(transaction, this.options.buckets.parents, role, parents);
+        } else {
+            await this.backend.del(transaction, this.options.buckets.parents, role);
+        }
+        for (const parent of removed) {
+            await this.backend.remove(transaction, this.options.buckets.children, parent, role);
+        }
+    });
+    this._audit("mutation", "removeRoleParents", { role, parents });
+};
+
+/**
+  roleParents( role ) : parents
+
+  Returns the parents of the role, see addRoleParents().
+
+  @param {String} role
+  @return {Promise} Promise resolved with an array of roles
+*/
+Acl.prototype.roleParents = function (role) {
+    contract(arguments).params("string").end();
+
+    return this.backend.get(this.options.buckets.parents, role);
+};
+
+/**
+  roleChildren( role ) : children
+
+  Returns the roles having the role as a parent.
+
+  @param {String} role
+  @return {Promise} Promise resolved with an array of roles
+*/
+Acl.prototype.roleChildren = async function (role) {
+    contract(arguments).params("string").end();
+
+    await this._indexChildren();
+    return await this.backend.get(this.options.buckets.children, role);
+};
+
+/**
+  roleAncestors( role ) : ancestors
+
+  Returns the parents of the role, their parents and so on, the roles it inherits the permissions of.
+
+  @param {String} role
+  @return {Promise} Promise resolved with an array of roles
+*/
+Acl.prototype.roleAncestors = async function (role) {
+    contract(arguments).params("string").end();
+
+    const roles = await this._allRoles([role]);
+    return roles.slice(1);
+};
+
+/**
+  roleDescendants( role ) : descendants
+
+  Returns the children of the role, their children and so on, the roles inheriting its permissions.
+
+  @param {String} role
+  @return {Promise} Promise resolved with an array of roles
+*/
+Acl.prototype.roleDescendants = async function (role) {
+    contract(arguments).params("string").end();
+
+    await this._indexChildren();
+    let descendants = [role];
+    let roles = descendants;
+    while (roles.length > 0) {
+        const children = await this.backend.union(this.options.buckets.children, roles);
+        roles = _.difference(children, descendants);
+        descendants = descendants.concat(roles);
+    }
+    return descendants.slice(1);
+};
+
+/**
+  roleTree() : tree
+
+  Returns the whole role hierarchy, as nested objects of the children of the roles, starting from
+  the roles having no parents:
+
+  {admin: {}, guest: {member: {editor: {}}, reader: {}}}
+
+  A role having several parents shows up under each of them.
+
+  @return {Promise} Promise resolved with the tree
+*/
+Acl.prototype.roleTree = async function () {
+    const roles = await this.backend.get(this.options.buckets.meta, "roles");
+    const rolesParents = await Promise.all(roles.map((role) => this.roleParents(role)));
+
+    // Every role given parents is listed in the meta roles, while the roots might only be parents.
+    const children = new Map();
+    roles.forEach((role, index) => {
+        for (const parent of rolesParents[index]) {
+            children.set(parent, (children.get(parent) || []).concat(role));
+        }
+    });
+    const withParents = roles.filter((role, index) => rolesParents[index].length > 0);
+    const roots = _.difference(_.union(roles, ...rolesParents), withParents);
+
+    // The path guards against the circular parent chains stored before addRoleParents() rejected them.
+    const subtree = (role, path) => {
+        const node = {};
+        for (const child of (children.get(role) || []).sort()) {
+            if (path.indexOf(child) === -1) node[child] = subtree(child, path.concat(child));
+        }
+        return node;
+    };
+
+    const tree = {};
+    for (const root of roots.sort()) {
+        tree[root] = subtree(root, [root]);
     }
-    return await this.backend.end(transaction);
+    return tree;
 };
 
 /**
   removeRole( role )
 
-  Removes a role from the system.
+  Removes a role from the system, along with the links to its parents and children.
 
   @param {String} role Role to be removed
 */
@@ -200,16 +556,111 @@ Acl.prototype.removeRole = async function (role) {
 
     // Note that this is not fully transactional.
     let resources = await this.backend.get(this.options.buckets.resources, role);
-    const transaction = await this.backend.begin();
-    for (const resource of resources) {
-        const bucket = allowsBucket(resource);
-        await this.backend.del(transaction, bucket, role);
+    let deniedResources = await this.backend.get(this.options.buckets.denies, role);
+    const [parents, children] = await Promise.all([this.roleParents(role), this.roleChildren(role)]);
+    await this._transaction(async (transaction) => {
+        for (const resource of resources) {
+            const bucket = allowsBucket(resource);
+            await this.backend.del(transaction, bucket, role);
+            await this.backend.del(transaction, expiresBucket(bucket), role);
+        }
+        for (const resource of deniedResources) {
+            await this.backend.del(transaction, deniesBucket(resource), role);
+        }
+        await this.backend.del(transaction, this.options.buckets.resources, role);
+        await this.backend.del(transaction, this.options.buckets.denies, role);
+        await this.backend.del(transaction, this.options.buckets.parents, role);
+        await this.backend.del(transaction, this.options.buckets.children, role);
+        for (const parent of parents) {
+            await this.backend.remove(transaction, this.options.buckets.children, parent, role);
+        }
+        for (const child of children) {
+            await this.backend.remove(transaction, this.options.buckets.parents, child, role);
+        }
+        await this.backend.del(transaction, this.options.buckets.roles, role);
+        await this.backend.del(transaction, expiresBucket(this.options.buckets.roles), role);
+        await this.backend.remove(transaction, this.options.buckets.meta, "roles", role);
+    });
+    await this._transaction((transaction) =>
+        this._removeUnusedResources(transaction, _.union(resources, deniedResources))
+    );
+    this._audit("mutation", "removeRole", { role });
+};
+
+/**
+  renameRole( oldName, newName )
+
+  Renames a role in a single transaction: its parents and children, users, permissions and denials
+  move to the new name. Rejects if a role with the new name exists already.
+
+  @param {String} oldName Role to be renamed
+  @param {String} newName New name of the role
+  @return {Promise} Promise resolved when finished
+*/
+Acl.prototype.renameRole = async function (oldName, newName) {
+    contract(arguments).params("string", "string").end();
+
+    if (oldName === newName) return;
+
+    const buckets = this.options.buckets;
+    const roles = await this.backend.get(buckets.meta, "roles");
+
+    // The children are looked for among the meta roles, which list every role given parents, rather than in
+    // the children index: the acls written by the versions predating the index do not have it.
+    const [resources, denied, userIds, newUsers, rolesParents] = await Promise.all([
+        this.backend.get(buckets.resources, oldName),
+        this.backend.get(buckets.denies, oldName),
+        this.backend.get(buckets.roles, oldName),
+        this.backend.get(buckets.roles, newName),
+        Promise.all(roles.map((role) => this.backend.get(buckets.parents, role))),
+    ]);
+    const children = roles.filter((role, index) => rolesParents[index].indexOf(oldName) !== -1);
+    const parents = roles.indexOf(oldName) !== -1 ? rolesParents[roles.indexOf(oldName)] : [];
+
+    // A role which was only given as a parent is not among the meta roles.
+    const isParent = rolesParents.some((roleParents) => roleParents.indexOf(newName) !== -1);
+    if (roles.indexOf(newName) !== -1 || newUsers.length || isParent) {
+        throw new Error(`Cannot rename the role "${oldName}" to "${newName}", a role named so exists already`);
     }
-    await this.backend.del(transaction, this.options.buckets.resources, role);
-    await this.backend.del(transaction, this.options.buckets.parents, role);
-    await this.backend.del(transaction, this.options.buckets.roles, role);
-    await this.backend.remove(transaction, this.options.buckets.meta, "roles", role);
-    return await this.backend.end(transaction);
+
+    await this._transaction(async (transaction) => {
+        const rename = (bucket) => this._moveValues(transaction, bucket, oldName, bucket, newName);
+
+        for (const resource of resources) {
+            await rename(allowsBucket(resource));
+            await rename(expiresBucket(allowsBucket(resource)));
+        }
+        for (const resource of denied) {
+            await rename(deniesBucket(resource));
+        }
+        await rename(buckets.resources);
+        await rename(buckets.denies);
+        await rename(buckets.parents);
+        await rename(buckets.children);
+        await rename(buckets.roles);
+        await rename(expiresBucket(buckets.roles));
+
+        for (const child of children) {
+            await this._replaceValue(transaction, buckets.parents, child, oldName, newName);
+        }
+        for (const parent of parents) {
+            await this._replaceValue(transaction, buckets.children, parent, oldName, newName);
+        }
+        for (const userId of userIds) {
+            await this._replaceValue(transaction, buckets.users, userId, oldName, newName);
+            for (const entry of await this.backend.get(expiresBucket(buckets.users), userId)) {
+                const { expiresAt, value } = parseExpiryEntry(entry);
+                if (value !== oldName) continue;
+
+                const renamed = expiryEntry(expiresAt, newName);
+                await this._replaceValue(transaction, expiresBucket(buckets.users), userId, entry, renamed);
+            }
+        }
+        if (roles.indexOf(oldName) !== -1) {
+            await this._replaceValue(transaction, buckets.meta, "roles", oldName, newName);
+        }
+    });
+    this._audit("mutation", "renameRole", { oldName, newName });
 };
 
 /**
@@ -224,22 +675,109 @@ Acl.prototype.removeResource = async function (resource) {
     contract(arguments).params("string").end();
 
     let roles = await this.backend.get(this.options.buckets.meta, "roles");
-    const transaction = await this.backend.begin();
-    await this.backend.del(transaction, allowsBucket(resource), roles);
-    for (const role of roles) {
-        await this.backend.remove(transaction, this.options.buckets.resources, role, resource);
+    await this._transaction(async (transaction) => {
+        await this.backend.del(transaction, allowsBucket(resource), roles);
+        await this.backend.del(transaction, expiresBucket(allowsBucket(resource)), roles);
+        await this.backend.del(transaction, deniesBucket(resource), roles);
+        await this.backend.del(transaction, this.options.buckets.owners, resource);
+        await this.backend.remove(transaction, this.options.buckets.meta, "owned", resource);
+        await this.backend.remove(transaction, this.options.buckets.meta, "resources", resource);
+        if (isPattern(resource)) {
+            await this.backend.remove(transaction, this.options.buckets.meta, "patterns", resource);
+        }
+        for (const role of roles) {
+            await this.backend.remove(transaction, this.options.buckets.resources, role, resource);
+            await this.backend.remove(transaction, this.options.buckets.denies, role, resource);
+        }
+    });
+    this._audit("mutation", "removeResource", { resource });
+};
+
+/**
+  renameResource( oldName, newName )
+
+  Renames a resource, or a resource pattern, in a single transaction: the permissions and denials
+  over it and its owner move to the new name. Rejects if a resource with the new name exists already.
+
+  @param {String} oldName Resource to be renamed
+  @param {String} newName New name of the resource
+  @return {Promise} Promise resolved when finished
+*/
+Acl.prototype.renameResource = async function (oldName, newName) {
+    contract(arguments).params("string", "string").end();
+
+    if (oldName === newName) return;
+
+    const buckets = this.options.buckets;
+    const [roles, listed, newOwners] = await Promise.all([
+        this.backend.get(buckets.meta, "roles"),
+        this.backend.get(buckets.meta, "resources"),
+        this.backend.get(buckets.owners, newName),
+    ]);
+    const [allowing, denying] = await Promise.all([
+        Promise.all(roles.map((role) => this.backend.get(buckets.resources, role))),
+        Promise.all(roles.map((role) => this.backend.get(buckets.denies, role))),
+    ]);
+
+    const used = (lists, name) => lists.some((resources) => resources.indexOf(name) !== -1);
+    if (listed.indexOf(newName) !== -1 || newOwners.length || used(allowing, newName) || used(denying, newName)) {
+        throw new Error(`Cannot rename the resource "${oldName}" to "${newName}", a resource named so exists already`);
     }
-    return await this.backend.end(transaction);
+
+    await this._transaction(async (transaction) => {
+        for (let index = 0; index < roles.length; index++) {
+            const role = roles[index];
+            if (allowing[index].indexOf(oldName) !== -1) {
+                await this._moveValues(transaction, allowsBucket(oldName), role, allowsBucket(newName), role);
+                await this._moveValues(
+                    transaction,
+                    expiresBucket(allowsBucket(oldName)),
+                    role,
+                    expiresBucket(allowsBucket(newName)),
+                    role
+                );
+                await this._replaceValue(transaction, buckets.resources, role, oldName, newName);
+            }
+            if (denying[index].indexOf(oldName) !== -1) {
+                await this._moveValues(transaction, deniesBucket(oldName), role, deniesBucket(newName), role);
+                await this._replaceValue(transaction, buckets.denies, role, oldName, newName);
+            }
+        }
+
+        if (await this._moveValues(transaction, buckets.owners, oldName, buckets.owners, newName)) {
+            await this._replaceValue(transaction, buckets.meta, "owned", oldName, newName);
+        }
+        if (listed.indexOf(oldName) !== -1) {
+            await this._replaceValue(transaction, buckets.meta, "resources", oldName, newName);
+        }
+        if (isPattern(oldName)) {
+            await this.backend.remove(transaction, buckets.meta, "patterns", oldName);
+        }
+        await this._addPatterns(transaction, [newName]);
+    });
+    this._audit("mutation", "renameResource", { oldName, newName });
 };
 
 /**
-  allow( roles, resources, permissions )
+  allow( roles, resources, permissions, options )
 
   Adds the given permissions to the given roles over the given resources.
 
+  The permissions can be given for a limited time only, in which case they are ignored
+  once expired. Allowing a permission again replaces its expiry time, allowing it without
+  options makes it permanent.
+
+  The permissions can be granted only when a condition registered with addCondition()
+  holds for the context given to isAllowed(). The condition is stored by its name.
+
+  Resources can be patterns: `*` matches any characters within one path segment,
+  and a `**` segment matches any number of segments, e.g. `/blogs/*` matches `/blogs/1`.
+
   @param {String|Array} roles role(s) to add permissions to.
-  @param {String|Array} resources resource(s) to add permisisons to.
+  @param {String|Array} resources resource(s) or resource pattern(s) to add permisisons to.
   @param {String|Array} permissions permission(s) to add to the roles over the resources.
+  @param {Object} options [optional] {expiresAt: {Date|Number}} or {ttl: {Number} seconds},
+                          and {when: {String} condition name}
 
   allow( permissionsArray )
 
@@ -249,34 +787,45 @@ Acl.prototype.removeResource = async function (resource) {
 
   @return {Promise} Promise resolved when finished
 */
-Acl.prototype.allow = async function (roles, resources, permissions) {
-    contract(arguments).params("string|array", "string|array", "string|array").params("array").end();
+Acl.prototype.allow = async function (roles, resources, permissions, options) {
+    contract(arguments)
+        .params("string|array", "string|array", "string|array")
+        .params("string|array", "string|array", "string|array", "object")
+        .params("array")
+        .end();
 
     if (arguments.length === 1 || (arguments.length === 2 && _.isObject(roles))) {
         return await this._allowEx(roles);
     } else {
         roles = makeArray(roles);
         resources = makeArray(resources);
+        permissions = makeArray(permissions);
+        const expiresAt = expiryTime(options);
+        if (options && options.when) {
+            permissions = permissions.map((permission) => conditionalPermission(permission, options.when));
+        }
 
-        const transaction = await this.backend.begin();
+        await this._transaction(async (transaction) => {
+            await this.backend.add(transaction, this.options.buckets.meta, "roles", roles);
+            await this.backend.add(transaction, this.options.buckets.meta, "resources", resources);
+            await this._addPatterns(transaction, resources);
 
-        await this.backend.add(transaction, this.options.buckets.meta, "roles", roles);
+            for (const resource of resources) {
+                for (const role of roles) {
+                    await this.backend.add(transaction, allowsBucket(resource), role, permissions);
+                    await this._setExpiries(transaction, allowsBucket(resource), role, permissions, expiresAt);
+                }
+            }
 
-        for (const resource of resources) {
             for (const role of roles) {
-                await this.backend.add(transaction, allowsBucket(resource), role, permissions);
+                await this.backend.add(transaction, this.options.buckets.resources, role, resources);
             }
-        }
-
-        for (const role of roles) {
-            await this.backend.add(transaction, this.options.buckets.resources, role, resources);
-        }
-
-        return await this.backend.end(transaction);
+        });
+        this._audit("mutation", "allow", { roles, resources, permissions, options });
     }
 };
 
-Acl.prototype.removeAllow = function (role, resources, permissions) {
+Acl.prototype.removeAllow = async function (role, resources, permissions) {
     contract(arguments).params("string", "string|array", "string|array").params("string", "string|array").end();
 
     resources = makeArray(resources);
@@ -284,7 +833,8 @@ Acl.prototype.removeAllow = function (role, resources, permissions) {
         permissions = makeArray(permissions);
     }
 
-    return this.removePermissions(role, resources, permissions);
+    await this.removePermissions(role, resources, permissions);
+    this._audit("mutation", "removeAllow", { role, resources, permissions });
 };
 
 /**
@@ -298,63 +848,102 @@ Acl.prototype.removeAllow = function (role, resources, permissions) {
   @param {String|Array} resources
   @param {String|Array} permissions
 */
-Acl.prototype.removePermissions = async function (role, resources, permissions) {
-    const transaction = await this.backend.begin();
-    for (const resource of resources) {
-        const bucket = allowsBucket(resource);
-        if (permissions) {
-            await this.backend.remove(transaction, bucket, role, permissions);
-        } else {
-            await this.backend.del(transaction, bucket, role);
-            await this.backend.remove(transaction, this.options.buckets.resources, role, resource);
-        }
-    }
-
-    // Remove resource from role if no rights for that role exists.
-    // Not fully atomic...
-    await this.backend.end(transaction);
-
-    const transaction2 = await this.backend.begin();
-    await Promise.all(
-        resources.map(async (resource) => {
-            const bucket = allowsBucket(resource);
-            let permissions1 = await this.backend.get(bucket, role);
-            if (permissions1.length === 0) {
-                await this.backend.remove(transaction2, this.options.buckets.resources, role, resource);
-            }
-        })
-    );
-    return await this.backend.end(transaction2);
+Acl.prototype.removePermissions = function (role, resources, permissions) {
+    return this._removeRules(allowsBucket, this.options.buckets.resources, role, resources, permissions);
 };
 
 /**
-  allowedPermissions( userId, resources ) : obj
+  deny( roles, resources, permissions )
 
-  Returns all the allowable permissions a given user have to
-  access the given resources.
+  Denies the given permissions to the given roles over the given resources.
+  Resources can be patterns, same as in allow().
 
-  It returns an array of objects where every object maps a
-  resource name to a list of permissions for that resource.
+  A deny anywhere in the role hierarchy overrides any allow, including the `*` wildcard.
+  Denying `*` denies every permission over the resources.
 
-  @param {String} userId
-  @param {String|Array} resources resource(s) to ask permissions for.
+  @param {String|Array} roles role(s) to deny permissions to.
+  @param {String|Array} resources resource(s) to deny permissions over.
+  @param {String|Array} permissions permission(s) to deny to the roles over the resources.
+  @return {Promise} Promise resolved when finished
 */
-Acl.prototype.allowedPermissions = async function (userId, resources) {
-    if (!userId) return {};
-
-    contract(arguments).params("string", "string|array").end();
-
-    if (this.backend.unions) {
-        return this.optimizedAllowedPermissions(userId, resources);
-    }
+Acl.prototype.deny = async function (roles, resources, permissions) {
+    contract(arguments).params("string|array", "string|array", "string|array").end();
 
+    roles = makeArray(roles);
     resources = makeArray(resources);
 
-    const roles = await this.userRoles(userId);
-    const result = {};
-    await Promise.all(
-        resources.map(async (resource) => {
-            result[resource] = await this._resourcePermissions(roles, resource);
+    await this._transaction(async (transaction) => {
+        await this.backend.add(transaction, this.options.buckets.meta, "roles", roles);
+        await this.backend.add(transaction, this.options.buckets.meta, "resources", resources);
+        await this._addPatterns(transaction, resources);
+
+        for (const resource of resources) {
+            for (const role of roles) {
+                await this.backend.add(transaction, deniesBucket(resource), role, permissions);
+            }
+        }
+
+        for (const role of roles) {
+            await this.backend.add(transaction, this.options.buckets.denies, role, resources);
+        }
+    });
+    this._audit("mutation", "deny", { roles, resources, permissions });
+};
+
+/**
+  removeDeny( role, resources, permissions )
+
+  Removes deny rules given to the role over the resources.
+
+  If `permissions` is not specified, removes all deny rules of the role over the resources.
+
+  @param {String} role
+  @param {String|Array} resources
+  @param {String|Array} permissions [optional]
+  @return {Promise} Promise resolved when finished
+*/
+Acl.prototype.removeDeny = async function (role, resources, permissions) {
+    contract(arguments).params("string", "string|array", "string|array").params("string", "string|array").end();
+
+    resources = makeArray(resources);
+    if (permissions) {
+        permissions = makeArray(permissions);
+    }
+
+    await this._removeRules(deniesBucket, this.options.buckets.denies, role, resources, permissions);
+    this._audit("mutation", "removeDeny", { role, resources, permissions });
+};
+
+/**
+  allowedPermissions( userId, resources ) : obj
+
+  Returns all the allowable permissions a given user have to
+  access the given resources.
+
+  It returns an array of objects where every object maps a
+  resource name to a list of permissions for that resource.
+
+  @param {String} userId
+  @param {String|Array} resources resource(s) to ask permissions for.
+*/
+Acl.prototype.allowedPermissions = async function (userId, resources) {
+    if (!userId) return {};
+
+    contract(arguments).params("string", "string|array").end();
+
+    if (this.backend.unions) {
+        return this.optimizedAllowedPermissions(userId, resources);
+    }
+
+    resources = makeArray(resources);
+
+    const [roles, owned] = await Promise.all([this.userRoles(userId), this._ownedResources(userId, resources)]);
+    const ownerRoles = _.union(roles, [this.options.ownerRole]);
+    const result = {};
+    await Promise.all(
+        resources.map(async (resource) => {
+            const resourceRoles = owned.indexOf(resource) !== -1 ? ownerRoles : roles;
+            result[resource] = await this._resourcePermissions(resourceRoles, resource);
         })
     );
     return result;
@@ -380,29 +969,46 @@ Acl.prototype.optimizedAllowedPermissions = async function (userId, resources) {
     contract(arguments).params("string", "string|array").end();
 
     resources = makeArray(resources);
-    let response;
-    const roles = await this._allUserRoles(userId);
-    const buckets = resources.map(allowsBucket);
-    if (roles.length === 0) {
-        const emptyResult = {};
-        for (const bucket of buckets) {
-            emptyResult[bucket] = [];
-        }
-        response = emptyResult;
-    } else {
-        response = await this.backend.unions(buckets, roles);
+    const [roles, owned] = await Promise.all([this.userRoles(userId), this._ownedResources(userId, resources)]);
+    const result = await this._rolesPermissions(roles, _.difference(resources, owned));
+    if (owned.length) {
+        const ownerRoles = _.union(roles, [this.options.ownerRole]);
+        Object.assign(result, await this._rolesPermissions(ownerRoles, owned));
     }
 
+    return result;
+};
+
+//
+// Returns a map of resource name to the permissions the given roles (including all their parents) have over it.
+//
+Acl.prototype._rolesPermissions = async function (roles, resources) {
     const result = {};
-    for (const bucket of Object.keys(response)) {
-        result[keyFromAllowsBucket(bucket)] = response[bucket];
+    if (roles.length === 0 || resources.length === 0) {
+        for (const resource of resources) {
+            result[resource] = [];
+        }
+        return result;
+    }
+
+    const matching = await this._matchingResources(resources);
+    const allResources = _.union(...Object.values(matching));
+    const allows = allResources.map(allowsBucket);
+    const buckets = allows.concat(allResources.map(deniesBucket), allows.map(expiresBucket));
+    const hierarchy = await this._hierarchyUnions(roles, buckets);
+    const response = await this._dropExpired(hierarchy.unions, allows, hierarchy.roles);
+    for (const resource of resources) {
+        result[resource] = effectivePermissions(
+            _.union(...matching[resource].map((r) => response[allowsBucket(r)] || [])),
+            _.union(...matching[resource].map((r) => response[deniesBucket(r)] || []))
+        );
     }
 
     return result;
 };
 
 /**
-  isAllowed( userId, resource, permissions )
+  isAllowed( userId, resource, permissions, context )
 
   Checks if the given user is allowed to access the resource for the given
   permissions (note: it must fulfill all the permissions).
@@ -410,29 +1016,48 @@ Acl.prototype.optimizedAllowedPermissions = async function (userId, resources) {
   @param {String} userId
   @param {String|Array} resource resource(s) to ask permissions for.
   @param {String|Array} permissions asked permissions.
+  @param {Object} context [optional] passed to the conditions of conditional permissions.
 */
-Acl.prototype.isAllowed = async function (userId, resource, permissions) {
-    contract(arguments).params("string", "string", "string|array").end();
+Acl.prototype.isAllowed = async function (userId, resource, permissions, context) {
+    contract(arguments)
+        .params("string", "string", "string|array")
+        .params("string", "string", "string|array", "object")
+        .end();
 
-    let roles = await this.backend.get(this.options.buckets.users, userId);
-    if (roles.length) {
-        return this.areAnyRolesAllowed(roles, resource, permissions);
+    let allowed = false;
+    if (this.backend.userRules) {
+        // The backend walks the whole role hierarchy in a single query.
+        const { ownerRole } = this.options;
+        const rules = await this.backend.userRules(this._rulesBuckets(), userId, resource, ownerRole);
+        if (rules.roles.length) {
+            allowed = await this._rulesAllow(rules, resource, makeArray(permissions), context);
+        }
     } else {
-        return false;
+        let roles = await this._userResourceRoles(userId, resource);
+        if (roles.length) {
+            allowed = await this.areAnyRolesAllowed(roles, resource, permissions, context);
+        }
     }
+
+    this._audit("decision", "isAllowed", { userId, resource, permissions, context }, allowed);
+    return allowed;
 };
 
 /**
-  areAnyRolesAllowed( roles, resource, permissions ) : allowed
+  areAnyRolesAllowed( roles, resource, permissions, context ) : allowed
 
   Returns true if any of the given roles have the right permissions.
 
   @param {String|Array} roles to check the permissions for.
   @param {String} resource resource(s) to ask permissions for.
   @param {String|Array} permissions asked permissions.
+  @param {Object} context [optional] passed to the conditions of conditional permissions.
 */
-Acl.prototype.areAnyRolesAllowed = async function (roles, resource, permissions) {
-    contract(arguments).params("string|array", "string", "string|array").end();
+Acl.prototype.areAnyRolesAllowed = async function (roles, resource, permissions, context) {
+    contract(arguments)
+        .params("string|array", "string", "string|array")
+        .params("string|array", "string", "string|array", "object")
+        .end();
 
     roles = makeArray(roles);
     permissions = makeArray(permissions);
@@ -440,10 +1065,66 @@ Acl.prototype.areAnyRolesAllowed = async function (roles, resource, permissions)
     if (roles.length === 0) {
         return false;
     } else {
-        return await this._checkPermissions(roles, resource, permissions);
+        return await this._checkPermissions(roles, resource, permissions, context);
     }
 };
 
+/**
+  setResourceOwner( resource, userId )
+
+  Makes the user the owner of the resource, replacing the previous owner.
+
+  The owner gets the permissions given to the owner pseudo-role ("owner" by default,
+  see the `ownerRole` option) over the resource, e.g. allow("owner", "/posts/*", "edit").
+
+  @param {String} resource
+  @param {String} userId
+  @return {Promise} Promise resolved when finished
+*/
+Acl.prototype.setResourceOwner = async function (resource, userId) {
+    contract(arguments).params("string", "string").end();
+
+    await this._transaction(async (transaction) => {
+        await this.backend.del(transaction, this.options.buckets.owners, resource);
+        await this.backend.add(transaction, this.options.buckets.owners, resource, userId);
+        await this.backend.add(transaction, this.options.buckets.meta, "owned", resource);
+    });
+    this._audit("mutation", "setResourceOwner", { resource, userId });
+};
+
+/**
+  removeResourceOwner( resource )
+
+  Removes the owner of the resource.
+
+  @param {String} resource
+  @return {Promise} Promise resolved when finished
+*/
+Acl.prototype.removeResourceOwner = async function (resource) {
+    contract(arguments).params("string").end();
+
+    await this._transaction(async (transaction) => {
+        await this.backend.del(transaction, this.options.buckets.owners, resource);
+        await this.backend.remove(transaction, this.options.buckets.meta, "owned", resource);
+    });
+    this._audit("mutation", "removeResourceOwner", { resource });
+};
+
+/**
+  resourceOwner( resource ) : userId
+
+  Returns the owner of the resource.
+
+  @param {String} resource
+  @return {Promise} Promise resolved with the user id, or null if the resource has no owner
+*/
+Acl.prototype.resourceOwner = async function (resource) {
+    contract(arguments).params("string").end();
+
+    const owners = await this.backend.get(this.options.buckets.owners, resource);
+    return owners.length ? owners[0] : null;
+};
+
 /**
   whatResources(role) : {resourceName: [permissions]}
 
@@ -471,6 +1152,7 @@ Acl.prototype.permittedResources = async function (roles, permissions) {
     await Promise.all(
         resources.map(async (resource) => {
             let p = await this._resourcePermissions(roles, resource);
+            if (p.length === 0) return;
             if (permissions) {
                 const commonPermissions = _.intersection(permissions, p);
                 if (commonPermissions.length > 0) {
@@ -485,6 +1167,283 @@ Acl.prototype.permittedResources = async function (roles, permissions) {
     return result;
 };
 
+/**
+  explain( userId, resource, permissions, context ) : explanation
+
+  Explains the decision isAllowed() makes for the same arguments. Returns:
+
+  {
+    allowed: {Boolean} the decision,
+    userId, resource, permissions: the arguments,
+    roles: {Array} roles of the user, including the owner pseudo-role if the user owns the resource,
+    hierarchy: {Array} [{role, parents}] for every role walked through, starting with the user roles,
+    resources: {Array} the resource and the resource patterns matching it,
+    granted: {Object} permission => [{role, resource, permission, condition}] rules granting it,
+    denied: {Object} permission => [{role, resource, permission}] rules denying it,
+    missing: {Array} permissions neither granted nor denied
+  }
+
+  The `permission` of a rule is the asked permission or "*". The `condition` is
+  only present for conditional permissions whose condition holds.
+
+  @param {String} userId
+  @param {String} resource resource to ask permissions for.
+  @param {String|Array} permissions asked permissions.
+  @param {Object} context [optional] passed to the conditions of conditional permissions.
+  @return {Promise} Promise resolved with the explanation
+*/
+Acl.prototype.explain = async function (userId, resource, permissions, context) {
+    contract(arguments)
+        .params("string", "string", "string|array")
+        .params("string", "string", "string|array", "object")
+        .end();
+
+    permissions = makeArray(permissions);
+
+    const roles = await this._userResourceRoles(userId, resource);
+    const hierarchy = [];
+    const allRoles = _.uniq(roles);
+    for (let i = 0; i < allRoles.length; i++) {
+        const parents = await this.backend.get(this.options.buckets.parents, allRoles[i]);
+        hierarchy.push({ role: allRoles[i], parents });
+        allRoles.push(..._.difference(parents, allRoles));
+    }
+
+    const resources = (await this._matchingResources([resource]))[resource];
+    const allows = [];
+    const denies = [];
+    await Promise.all(
+        allRoles.map((role) =>
+            Promise.all(
+                resources.map(async (r) => {
+                    const [allowed, denied] = await Promise.all([
+                        this._getUnexpired(allowsBucket(r), role),
+                        this.backend.get(deniesBucket(r), role),
+                    ]);
+                    allows.push(...allowed.map((permission) => ({ role, resource: r, permission })));
+                    denies.push(...denied.map((permission) => ({ role, resource: r, permission })));
+                })
+            )
+        )
+    );
+
+    const explanation = { allowed: false, userId, resource, permissions, roles, hierarchy, resources };
+    explanation.granted = {};
+    explanation.denied = {};
+    explanation.missing = [];
+    for (const permission of permissions) {
+        const denials = denies.filter((rule) => rule.permission === permission || rule.permission === "*");
+        if (denials.length) {
+            explanation.denied[permission] = denials;
+            continue;
+        }
+
+        const grants = allows.filter((rule) => rule.permission === permission || rule.permission === "*");
+        for (const rule of allows.filter((rule) => isConditional(rule.permission))) {
+            const grant = parseConditional(rule.permission);
+            if (grant.permission !== permission && grant.permission !== "*") continue;
+
+            if (await this._conditionHolds(grant.condition, context, { resource, permission })) {
+                grants.push({ role: rule.role, resource: rule.resource, ...grant });
+            }
+        }
+
+        if (grants.length) {
+            explanation.granted[permission] = grants;
+        } else {
+            explanation.missing.push(permission);
+        }
+    }
+    explanation.allowed = Object.keys(explanation.denied).length === 0 && explanation.missing.length === 0;
+
+    return explanation;
+};
+
+/**
+  export() : snapshot
+
+  Returns a JSON snapshot of the whole acl, leaving out the expired roles and permissions:
+
+  {
+    version: 1,
+    users: {userId: {roles: [roleNames], expiresAt: {roleName: timestamp}}},
+    roles: {roleName: {parents: [roleNames]}},
+    resources: {resourceName: {
+      owner: userId,
+      allows: {roleName: [permissions]},
+      expiresAt: {roleName: {permission: timestamp}},
+      denies: {roleName: [permissions]}
+    }}
+  }
+
+  Conditional permissions are listed as "{permission}?{conditionName}". The `owner` and
+  `expiresAt` properties are left out when there are none.
+
+  @return {Promise} Promise resolved with the snapshot
+*/
+Acl.prototype.export = async function () {
+    const records = await this._readRecords();
+    const buckets = this.options.buckets;
+    const values = (bucket, key) => (records.get(recordId(bucket, key)) || { values: [] }).values;
+
+    // Returns the unexpired values, and the expiry times of the ones which have one.
+    const unexpired = (bucket, key) => {
+        const expiries = {};
+        for (const entry of values(expiresBucket(bucket), key)) {
+            const { expiresAt, value } = parseExpiryEntry(entry);
+            expiries[value] = Math.max(expiries[value] || 0, expiresAt);
+        }
+        const now = Date.now();
+        const result = values(bucket, key).filter((value) => !(value in expiries) || expiries[value] > now);
+        return { values: result, expiresAt: _.pick(expiries, result) };
+    };
+
+    const snapshot = { version: SNAPSHOT_VERSION, users: {}, roles: {}, resources: {} };
+    const resource = (name) => (snapshot.resources[name] = snapshot.resources[name] || { allows: {}, denies: {} });
+
+    for (const userId of values(buckets.meta, "users")) {
+        const { values: roles, expiresAt } = unexpired(buckets.users, userId);
+        if (roles.length === 0) continue;
+
+        snapshot.users[userId] = { roles };
+        if (!_.isEmpty(expiresAt)) snapshot.users[userId].expiresAt = expiresAt;
+    }
+
+    for (const role of storedRoles(records, buckets)) {
+        snapshot.roles[role] = { parents: values(buckets.parents, role) };
+
+        for (const name of values(buckets.resources, role)) {
+            const { values: permissions, expiresAt } = unexpired(allowsBucket(name), role);
+            if (permissions.length === 0) continue;
+
+            resource(name).allows[role] = permissions;
+            if (!_.isEmpty(expiresAt)) {
+                resource(name).expiresAt = resource(name).expiresAt || {};
+                resource(name).expiresAt[role] = expiresAt;
+            }
+        }
+
+        for (const name of values(buckets.denies, role)) {
+            const permissions = values(deniesBucket(name), role);
+            if (permissions.length) resource(name).denies[role] = permissions;
+        }
+    }
+
+    for (const name of values(buckets.meta, "owned")) {
+        const owners = values(buckets.owners, name);
+        if (owners.length) resource(name).owner = owners[0];
+    }
+
+    return snapshot;
+};
+
+/**
+  import( snapshot, options )
+
+  Loads a snapshot returned by export(), in a single transaction.
+
+  In the "merge" mode (default) the snapshot is added to the existing acl. Where both have
+  the same user role or permission, the expiry time of the snapshot wins. Owners of
+  the snapshot resources replace the existing ones.
+
+  In the "replace" mode everything else is removed from the acl.
+
+  @param {Object} snapshot
+  @param {Object} options [optional] {mode: {String} "merge" or "replace"}
+  @return {Promise} Promise resolved when finished
+*/
+Acl.prototype.import = async function (snapshot, options) {
+    contract(arguments).params("object").params("object", "object").end();
+
+    const mode = (options && options.mode) || "merge";
+    if (mode !== "merge" && mode !== "replace") {
+        throw new Error(`Unknown import mode "${mode}", use "merge" or "replace"`);
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+
+    const current = await this._readRecords();
+    const imported = snapshotRecords(snapshot, this.options.buckets);
+    const target = mode === "replace" ? imported : mergeRecords(current, imported);
+
+    await this._transaction((transaction) => this._writeRecords(transaction, current, target));
+    this._audit("mutation", "import", { mode });
+};
+
+/**
+  applyPolicy( policy, options ) : changes
+
+  Brings the acl in line with a policy, calling allow(), addRoleParents() and addUserRoles()
+  only for what is missing. Time-limited roles and permissions listed by the policy are made permanent.
+
+  The policy is in the same shape as accepted by allow(), extended with the parents and the users of the roles:
+
+  [{roles:{String|Array}, allows:[{resources:{String|Array}, permissions:{String|Array}}],
+    parents:{String|Array}, users:{String|Array}}]
+
+  With the `prune` option whatever the policy does not list is removed as well: the permissions
+  and the parents of the listed roles, the users of the roles listing their users, and the roles
+  which are neither listed nor given as parents.
+
+  @param {Array} policy
+  @param {Object} options [optional] {prune: {Boolean}}
+  @return {Promise} Promise resolved with the list of the applied changes, as {operation, args} objects
+*/
+Acl.prototype.applyPolicy = async function (policy, options) {
+    contract(arguments).params("array").params("array", "object").end();
+
+    const prune = Boolean(options && options.prune);
+    const wanted = policyRoles(policy);
+    const current = snapshotRoles(await this.export());
+
+    const additions = [];
+    const removals = [];
+    for (const [role, { allows, parents, users }] of Object.entries(wanted)) {
+        const existing = current[role] || { allows: {}, expiring: {}, parents: [], users: [], expiringUsers: [] };
+
+        for (const [resource, permissions] of Object.entries(allows)) {
+            const granted = _.difference(existing.allows[resource] || [], existing.expiring[resource] || []);
+            const missing = _.difference(permissions, granted);
+            if (missing.length) additions.push(["allow", role, resource, missing]);
+        }
+        for (const [resource, permissions] of Object.entries(existing.allows)) {
+            const extra = _.difference(permissions, allows[resource] || []);
+            if (prune && extra.length) removals.push(["removeAllow", role, resource, extra]);
+        }
+
+        const missingParents = _.difference(parents, existing.parents);
+        const extraParents = _.difference(existing.parents, parents);
+        if (missingParents.length) additions.push(["addRoleParents", role, missingParents]);
+        // Parents are removed before any is added, so that replacing them never looks like a cycle.
+        if (prune && extraParents.length) additions.unshift(["removeRoleParents", role, extraParents]);
+
+        if (!users) continue;
+        const missingUsers = _.difference(users, _.difference(existing.users, existing.expiringUsers));
+        for (const userId of missingUsers) {
+            additions.push(["addUserRoles", userId, role]);
+        }
+        for (const userId of prune ? _.difference(existing.users, users) : []) {
+            removals.push(["removeUserRoles", userId, role]);
+        }
+    }
+
+    // The parents given by the policy are kept, removing them would unlink them from their children again.
+    const wantedParents = _.union(...Object.values(wanted).map(({ parents }) => parents));
+    for (const role of Object.keys(current)) {
+        if (prune && !wanted[role] && wantedParents.indexOf(role) === -1 && current[role].stored) {
+            removals.push(["removeRole", role]);
+        }
+    }
+
+    const changes = [];
+    for (const [operation, ...args] of additions.concat(removals)) {
+        await this[operation](...args);
+        changes.push({ operation, args });
+    }
+    return changes;
+};
+
 /**
   Express Middleware
 */
@@ -553,12 +1512,15 @@ Acl.prototype.middleware = function (numPathComponents, userId, actions) {
         acl.isAllowed(_userId, resource, _actions)
             .then(async (allowed) => {
                 if (allowed === false) {
+                    const error = new HttpError(403, "Insufficient permissions to access resource");
                     if (acl.logger) {
                         acl.logger.debug("Not allowed " + _actions + " on " + resource + " by user " + _userId);
-                        const obj = acl.allowedPermissions(_userId, resource);
+                        const obj = await acl.allowedPermissions(_userId, resource);
                         acl.logger.debug("Allowed permissions: " + util.inspect(obj));
+                        error.explanation = await acl.explain(_userId, resource, _actions);
+                        acl.logger.debug("Explanation: " + util.inspect(error.explanation, { depth: null }));
                     }
-                    next(new HttpError(403, "Insufficient permissions to access resource"));
+                    next(error);
                 } else {
                     acl.logger
                         ? acl.logger.debug("Allowed " + _actions + " on " + resource + " by user " + _userId)
@@ -601,6 +1563,32 @@ Acl.prototype.middleware.errorHandler = function (contentType) {
 //
 //-----------------------------------------------------------------------------
 
+//
+// Emits an audit event. The listeners are shared with the tenant and actor scoped acls.
+//
+Acl.prototype._audit = function (type, operation, args, result) {
+    const event = { operation, args, actor: this.actor, tenant: this.tenantName, timestamp: new Date() };
+    if (result !== undefined) {
+        event.result = result;
+    }
+    this.emit(type, event);
+};
+
+//
+// Builds a transaction and ends it. If building it fails halfway, the transaction is rolled back instead,
+// provided the backend supports that.
+//
+Acl.prototype._transaction = async function (build) {
+    const transaction = await this.backend.begin();
+    try {
+        await build(transaction);
+    } catch (err) {
+        if (this.backend.rollback) await this.backend.rollback(transaction);
+        throw err;
+    }
+    await this.backend.end(transaction);
+};
+
 //
 // Same as allow but accepts a more compact input.
 //
@@ -622,6 +1610,27 @@ Acl.prototype._allowEx = function (objs) {
     return Promise.all(demuxed.map((obj) => this.allow(obj.roles, obj.resources, obj.permissions)));
 };
 
+//
+// Returns a page of the meta values at the key. Asks for one more value than the limit, to know whether
+// there is a next page.
+//
+Acl.prototype._list = async function (key, options) {
+    const { prefix, cursor, limit = 100 } = options || {};
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Invalid limit: ${limit}, use a positive integer`);
+    }
+
+    const page = { after: cursor, prefix, limit: limit + 1 };
+    const values = this.backend.page
+        ? await this.backend.page(this.options.buckets.meta, key, page)
+        : pageOf(await this.backend.get(this.options.buckets.meta, key), page);
+
+    if (values.length > limit) {
+        return { items: values.slice(0, limit), cursor: values[limit - 1] };
+    }
+    return { items: values };
+};
+
 //
 // Returns the parents of the given roles
 //
@@ -629,29 +1638,98 @@ Acl.prototype._rolesParents = function (roles) {
     return this.backend.union(this.options.buckets.parents, roles);
 };
 
+//
+// Fills an index in for the acls written by the versions predating it, once per backend: `fill` adds its
+// entries in the given transaction. The "indexes" meta key tells which indexes are complete.
+//
+const filledIndexes = new WeakMap(); // backend => Map(index name => Promise)
+
+Acl.prototype._fillIndex = function (name, fill) {
+    let filled = filledIndexes.get(this.backend);
+    if (!filled) filledIndexes.set(this.backend, (filled = new Map()));
+
+    if (!filled.has(name)) {
+        const meta = this.options.buckets.meta;
+        const indexed = (async () => {
+            const indexes = await this.backend.get(meta, "indexes");
+            if (indexes.indexOf(name) !== -1) return;
+
+            await this._transaction(async (transaction) => {
+                await fill(transaction);
+                await this.backend.add(transaction, meta, "indexes", name);
+            });
+        })();
+        filled.set(name, indexed);
+        indexed.catch(() => filled.delete(name));
+    }
+    return filled.get(name);
+};
+
+//
+// Fills the children index in from the parents of the meta roles, which list every role given parents.
+//
+Acl.prototype._indexChildren = function () {
+    const buckets = this.options.buckets;
+    return this._fillIndex("children", async (transaction) => {
+        const roles = await this.backend.get(buckets.meta, "roles");
+        const rolesParents = await Promise.all(roles.map((role) => this.backend.get(buckets.parents, role)));
+        for (const [index, role] of roles.entries()) {
+            for (const parent of rolesParents[index]) {
+                await this.backend.add(transaction, buckets.children, parent, role);
+            }
+        }
+    });
+};
+
+//
+// Fills the meta resources in from the resources allowed or denied to the meta roles, which list every role
+// given rules.
+//
+Acl.prototype._indexResources = function () {
+    const buckets = this.options.buckets;
+    return this._fillIndex("resources", async (transaction) => {
+        const roles = await this.backend.get(buckets.meta, "roles");
+        const [allowed, denied] = await Promise.all([
+            this.backend.union(buckets.resources, roles),
+            this.backend.union(buckets.denies, roles),
+        ]);
+        const resources = _.union(allowed, denied);
+        if (resources.length) await this.backend.add(transaction, buckets.meta, "resources", resources);
+    });
+};
+
 //
 // Return all roles in the hierarchy including the given roles.
+// Visits every role once, so that circular parent chains can not loop forever.
 //
 Acl.prototype._allRoles = async function (roleNames) {
-    let parents = await this._rolesParents(roleNames);
-    if (parents.length > 0) {
-        let parentRoles = await this._allRoles(parents);
-        return _.union(roleNames, parentRoles);
+    let allRoles = _.uniq(roleNames);
+    let roles = allRoles;
+    while (roles.length > 0) {
+        const parents = await this._rolesParents(roles);
+        roles = _.difference(parents, allRoles);
+        allRoles = allRoles.concat(roles);
     }
 
-    return roleNames;
+    return allRoles;
 };
 
 //
-// Return all roles in the hierarchy of the given user.
+// Returns the roles of the user, plus the owner pseudo-role if the user owns the resource.
 //
-Acl.prototype._allUserRoles = async function (userId) {
-    let roles = await this.userRoles(userId);
-    if (roles && roles.length > 0) {
-        return this._allRoles(roles);
-    }
+Acl.prototype._userResourceRoles = async function (userId, resource) {
+    const [roles, owned] = await Promise.all([this.userRoles(userId), this._ownedResources(userId, [resource])]);
+    return owned.length ? _.union(roles, [this.options.ownerRole]) : roles;
+};
 
-    return [];
+//
+// Returns which of the given resources are owned by the user.
+//
+Acl.prototype._ownedResources = async function (userId, resources) {
+    const owners = await Promise.all(
+        resources.map((resource) => this.backend.get(this.options.buckets.owners, resource))
+    );
+    return resources.filter((resource, index) => owners[index].indexOf(userId) !== -1);
 };
 
 //
@@ -680,39 +1758,404 @@ Acl.prototype._resourcePermissions = async function (roles, resource) {
         return [];
     }
 
-    const resourcePermissions = await this.backend.union(allowsBucket(resource), roles);
+    const { allowed, denied } = await this._resourceRules(roles, resource);
+    return effectivePermissions(allowed, denied);
+};
 
-    const parents = await this._rolesParents(roles);
-    if (parents && parents.length) {
-        const morePermissions = await this._resourcePermissions(parents, resource);
-        return _.union(resourcePermissions, morePermissions);
+//
+// Returns the allowed and denied permissions the given roles (including all their parents) have over the resource
+// and over every resource pattern matching it.
+//
+Acl.prototype._resourceRules = async function (roles, resource) {
+    const resources = (await this._matchingResources([resource]))[resource];
+    const allows = resources.map(allowsBucket);
+    const denies = resources.map(deniesBucket);
+
+    const hierarchy = await this._hierarchyUnions(roles, allows.concat(denies, allows.map(expiresBucket)));
+    const response = await this._dropExpired(hierarchy.unions, allows, hierarchy.roles);
+
+    return {
+        allowed: _.union(...allows.map((bucket) => response[bucket] || [])),
+        denied: _.union(...denies.map((bucket) => response[bucket] || [])),
+    };
+};
+
+//
+// Returns the given roles along with all their parents, and the union of the keys of all those roles
+// in each of the buckets. Walks the hierarchy in the same query if the backend supports it.
+//
+Acl.prototype._hierarchyUnions = async function (roles, buckets) {
+    if (this.backend.hierarchyUnions) {
+        return await this.backend.hierarchyUnions(this.options.buckets.parents, roles, buckets);
     }
 
-    return resourcePermissions;
+    const allRoles = await this._allRoles(roles);
+    return { roles: allRoles, unions: await this._unions(buckets, allRoles) };
 };
 
 //
-// NOTE: This function will not handle circular dependencies and result in a crash.
+// Returns the union of the keys in each of the buckets, in a single query if the backend supports it.
 //
-Acl.prototype._checkPermissions = async function (roles, resource, permissions) {
-    let resourcePermissions = await this.backend.union(allowsBucket(resource), roles);
-    if (resourcePermissions.indexOf("*") !== -1) {
-        return true;
+Acl.prototype._unions = async function (buckets, keys) {
+    if (this.backend.unions) {
+        return await this.backend.unions(buckets, keys);
     }
 
-    permissions = permissions.filter((p) => resourcePermissions.indexOf(p) === -1);
-    if (permissions.length === 0) {
+    const response = {};
+    await Promise.all(
+        buckets.map(async (bucket) => {
+            response[bucket] = await this.backend.union(bucket, keys);
+        })
+    );
+    return response;
+};
+
+//
+// Leaves the expired values out of the unions of the given buckets. The response must contain the unions
+// of their expiry buckets too. A union can not tell which key an expired value came from,
+// so the buckets having expiry times are resolved key by key.
+//
+Acl.prototype._dropExpired = async function (response, buckets, keys) {
+    await Promise.all(
+        buckets.map(async (bucket) => {
+            if (!(response[expiresBucket(bucket)] || []).length) return;
+
+            const values = await Promise.all(keys.map((key) => this._getUnexpired(bucket, key)));
+            response[bucket] = _.union(...values);
+        })
+    );
+    return response;
+};
+
+//
+// Returns the values stored at the bucket's key, leaving out the ones which have expired.
+//
+Acl.prototype._getUnexpired = async function (bucket, key) {
+    const [values, expiries] = await Promise.all([
+        this.backend.get(bucket, key),
+        this.backend.get(expiresBucket(bucket), key),
+    ]);
+    if (expiries.length === 0) {
+        return values;
+    }
+    return _.difference(values, expiredValues(expiries));
+};
+
+//
+// Removes the expired roles of the user, but the kept ones, along with their expiry times.
+// Resolves with the removed roles.
+//
+Acl.prototype._purgeExpiredRoles = async function (transaction, userId, expiries, kept) {
+    const expired = _.difference(expiredValues(expiries), kept);
+    if (expired.length === 0) return expired;
+
+    await this.backend.remove(transaction, this.options.buckets.users, userId, expired);
+    for (const role of expired) {
+        await this.backend.remove(transaction, this.options.buckets.roles, role, userId);
+    }
+    await this._removeRoleExpiries(transaction, userId, expired, expiries);
+    return expired;
+};
+
+//
+// Removes the expiry times of the given user roles, both from the user and from the roles side.
+//
+Acl.prototype._removeRoleExpiries = async function (transaction, userId, roles, expiries) {
+    for (const entry of expiries) {
+        const { expiresAt, value: role } = parseExpiryEntry(entry);
+        if (roles.indexOf(role) === -1) continue;
+
+        await this.backend.remove(transaction, expiresBucket(this.options.buckets.users), userId, entry);
+        const roleEntry = expiryEntry(expiresAt, userId);
+        await this.backend.remove(transaction, expiresBucket(this.options.buckets.roles), role, roleEntry);
+    }
+};
+
+//
+// Moves the values at the bucket's key to another bucket key. Resolves with whether there were any.
+//
+Acl.prototype._moveValues = async function (transaction, bucket, key, newBucket, newKey) {
+    const values = await this.backend.get(bucket, key);
+    if (values.length === 0) return false;
+
+    await this.backend.del(transaction, bucket, key);
+    await this.backend.add(transaction, newBucket, newKey, values);
+    return true;
+};
+
+//
+// Replaces a value at the bucket's key with another one.
+//
+Acl.prototype._replaceValue = async function (transaction, bucket, key, value, newValue) {
+    await this.backend.remove(transaction, bucket, key, value);
+    await this.backend.add(transaction, bucket, key, newValue);
+};
+
+//
+// Replaces the expiry times of the values at the bucket's key. Without `expiresAt` the values become permanent.
+//
+Acl.prototype._setExpiries = async function (transaction, bucket, key, values, expiresAt) {
+    values = makeArray(values);
+    const expiries = await this.backend.get(expiresBucket(bucket), key);
+    const replaced = expiries.filter((entry) => values.indexOf(parseExpiryEntry(entry).value) !== -1);
+    if (replaced.length) {
+        await this.backend.remove(transaction, expiresBucket(bucket), key, replaced);
+    }
+    if (expiresAt) {
+        const entries = values.map((value) => expiryEntry(expiresAt, value));
+        await this.backend.add(transaction, expiresBucket(bucket), key, entries);
+    }
+};
+
+//
+// Maps each of the given resources to a list of itself and every stored resource pattern matching it.
+//
+Acl.prototype._matchingResources = async function (resources) {
+    const patterns = await this.backend.get(this.options.buckets.meta, "patterns");
+    const result = {};
+    for (const resource of resources) {
+        result[resource] = [resource].concat(patterns.filter((p) => p !== resource && matchesPattern(p, resource)));
+    }
+    return result;
+};
+
+//
+// Remembers which of the given resources are patterns, so that they can be matched against later.
+//
+Acl.prototype._addPatterns = async function (transaction, resources) {
+    const patterns = resources.filter(isPattern);
+    if (patterns.length) {
+        await this.backend.add(transaction, this.options.buckets.meta, "patterns", patterns);
+    }
+};
+
+//
+// Removes allow or deny rules of a role over the given resources.
+//
+// Note: we loose atomicity when removing empty role_resources.
+//
+Acl.prototype._removeRules = async function (rulesBucket, resourcesBucket, role, resources, permissions) {
+    await this._transaction(async (transaction) => {
+        for (const resource of resources) {
+            const bucket = rulesBucket(resource);
+            if (permissions) {
+                // The conditional variants of the permissions are removed too.
+                const stored = await this.backend.get(bucket, role);
+                const removed = _.union(
+                    permissions,
+                    stored.filter((permission) => permissions.indexOf(basePermission(permission)) !== -1)
+                );
+                await this.backend.remove(transaction, bucket, role, removed);
+                await this._setExpiries(transaction, bucket, role, removed);
+            } else {
+                await this.backend.del(transaction, bucket, role);
+                await this.backend.del(transaction, expiresBucket(bucket), role);
+                await this.backend.remove(transaction, resourcesBucket, role, resource);
+            }
+        }
+
+        // Remove resource from role if no rights for that role exists, or if all of them have expired.
+        // Not fully atomic...
+    });
+
+    await this._transaction(async (transaction2) => {
+        await Promise.all(
+            resources.map(async (resource) => {
+                const bucket = rulesBucket(resource);
+                let permissions1 = await this._getUnexpired(bucket, role);
+                if (permissions1.length === 0) {
+                    await this.backend.del(transaction2, bucket, role);
+                    await this.backend.del(transaction2, expiresBucket(bucket), role);
+                    await this.backend.remove(transaction2, resourcesBucket, role, resource);
+                }
+            })
+        );
+    });
+
+    await this._transaction((transaction) => this._removeUnusedResources(transaction, resources));
+};
+
+//
+// Forgets the resources no role has rules over anymore, so that listResources() does not list them,
+// and the patterns among them, so that _matchingResources() does not keep matching the resources against them.
+//
+Acl.prototype._removeUnusedResources = async function (transaction, resources) {
+    const roles = await this.backend.get(this.options.buckets.meta, "roles");
+    for (const resource of resources) {
+        const [allowed, denied] = await Promise.all([
+            this.backend.union(allowsBucket(resource), roles),
+            this.backend.union(deniesBucket(resource), roles),
+        ]);
+        if (allowed.length === 0 && denied.length === 0) {
+            await this.backend.remove(transaction, this.options.buckets.meta, "resources", resource);
+            if (isPattern(resource)) {
+                await this.backend.remove(transaction, this.options.buckets.meta, "patterns", resource);
+            }
+        }
+    }
+};
+
+//
+// Deny rules are gathered from the whole hierarchy first, since a deny anywhere overrides any allow.
+//
+Acl.prototype._checkPermissions = async function (roles, resource, permissions, context) {
+    const rules = await this._resourceRules(roles, resource);
+    return await this._rulesAllow(rules, resource, permissions, context);
+};
+
+//
+// Decides whether the allowed and denied permissions grant all the asked ones.
+// Conditions are evaluated only for the permissions which are not granted unconditionally.
+//
+Acl.prototype._rulesAllow = async function ({ allowed, denied }, resource, permissions, context) {
+    if (denied.indexOf("*") !== -1 || permissions.some((p) => denied.indexOf(p) !== -1)) {
+        return false;
+    }
+
+    if (allowed.indexOf("*") !== -1) {
         return true;
     }
 
-    let parents = await this.backend.union(this.options.buckets.parents, roles);
-    if (parents && parents.length) {
-        return await this._checkPermissions(parents, resource, permissions);
+    const conditional = allowed.filter(isConditional).map(parseConditional);
+    for (const permission of permissions) {
+        if (allowed.indexOf(permission) !== -1) continue;
+
+        const grants = conditional.filter((grant) => grant.permission === permission || grant.permission === "*");
+        if (!(await this._anyConditionHolds(grants, context, { resource, permission }))) {
+            return false;
+        }
     }
 
+    return true;
+};
+
+//
+// The bucket names a backend needs to gather the rules of a user by itself, see userRules() in lib/backend.js.
+// The rule buckets are given as the prefixes of their names.
+//
+Acl.prototype._rulesBuckets = function () {
+    const { users, parents, owners, meta } = this.options.buckets;
+    return {
+        users,
+        expiresUsers: expiresBucket(users),
+        parents,
+        owners,
+        meta,
+        allows: allowsBucket(""),
+        expiresAllows: expiresBucket(allowsBucket("")),
+        denies: deniesBucket(""),
+    };
+};
+
+//
+// Evaluates the conditions of the given grants one by one, until one of them holds.
+//
+Acl.prototype._anyConditionHolds = async function (grants, context, details) {
+    for (const { condition } of grants) {
+        if (await this._conditionHolds(condition, context, details)) {
+            return true;
+        }
+    }
     return false;
 };
 
+//
+// Reads every stored bucket key reachable from the meta lists, as a map of recordId() to {bucket, key, values}.
+//
+Acl.prototype._readRecords = async function () {
+    const buckets = this.options.buckets;
+    const records = new Map();
+    const read = async (bucket, key) => {
+        const values = await this.backend.get(bucket, key);
+        if (values.length) records.set(recordId(bucket, key), { bucket, key, values });
+        return values;
+    };
+
+    const [users, , , owned] = await Promise.all([
+        read(buckets.meta, "users"),
+        read(buckets.meta, "roles"),
+        read(buckets.meta, "patterns"),
+        read(buckets.meta, "owned"),
+        read(buckets.meta, "resources"),
+    ]);
+
+    await Promise.all(
+        users.map((userId) => Promise.all([read(buckets.users, userId), read(expiresBucket(buckets.users), userId)]))
+    );
+
+    await Promise.all(
+        storedRoles(records, buckets).map(async (role) => {
+            const [resources, denied] = await Promise.all([
+                read(buckets.resources, role),
+                read(buckets.denies, role),
+                read(buckets.parents, role),
+                read(buckets.roles, role),
+                read(expiresBucket(buckets.roles), role),
+            ]);
+            await Promise.all(
+                resources.map((resource) =>
+                    Promise.all([read(allowsBucket(resource), role), read(expiresBucket(allowsBucket(resource)), role)])
+                )
+            );
+            await Promise.all(denied.map((resource) => read(deniesBucket(resource), role)));
+        })
+    );
+
+    const parents = [];
+    for (const { bucket, values } of records.values()) {
+        if (bucket === buckets.parents) parents.push(values);
+    }
+    await Promise.all(_.union(...parents).map((role) => read(buckets.children, role)));
+
+    await Promise.all(owned.map((resource) => read(buckets.owners, resource)));
+
+    return records;
+};
+
+//
+// Turns the current records into the target ones. Keys are either deleted, or get values added
+// and removed, never both, so that the order of the operations within the transaction does not matter.
+//
+Acl.prototype._writeRecords = async function (transaction, current, target) {
+    for (const [id, { bucket, key }] of current) {
+        if (!target.has(id) || target.get(id).values.length === 0) {
+            await this.backend.del(transaction, bucket, key);
+        }
+    }
+
+    for (const [id, { bucket, key, values }] of target) {
+        if (values.length === 0) continue;
+
+        const existing = current.has(id) ? current.get(id).values : [];
+        const added = _.difference(values, existing);
+        const removed = _.difference(existing, values);
+        if (added.length) await this.backend.add(transaction, bucket, key, added);
+        if (removed.length) await this.backend.remove(transaction, bucket, key, removed);
+    }
+};
+
+Acl.prototype._conditionHolds = async function (condition, context, details) {
+    if (!this.conditions[condition]) {
+        throw new Error(`Unknown condition "${condition}", register it with addCondition()`);
+    }
+    return Boolean(await this.conditions[condition](context, details));
+};
+
+//-----------------------------------------------------------------------------
+//
+// Errors
+//
+//-----------------------------------------------------------------------------
+
+class RoleCycleError extends Error {
+    constructor(role, parents) {
+        super(`Adding the parents [${parents.join(", ")}] to the role "${role}" would create a cycle`);
+        this.name = this.constructor.name;
+        this.role = role;
+        this.parents = parents;
+    }
+}
+
 //-----------------------------------------------------------------------------
 //
 // Helpers
@@ -723,14 +2166,302 @@ function makeArray(arr) {
     return Array.isArray(arr) ? arr : [arr];
 }
 
+//
+// Snapshots, see export() and import().
+//
+const SNAPSHOT_VERSION = 1;
+
+function recordId(bucket, key) {
+    return JSON.stringify([bucket, key]);
+}
+
+//
+// Every role known to the records: the ones given permissions or parents, and the ones given to users.
+//
+function storedRoles(records, buckets) {
+    const roles = [];
+    for (const { bucket, key, values } of records.values()) {
+        if (bucket === buckets.meta && key === "roles") roles.push(values);
+        if (bucket === buckets.users) roles.push(values);
+    }
+    return _.union(...roles);
+}
+
+//
+// Converts a snapshot to the records which store it. The records holding values which have
+// an expiry bucket are marked with `expires`, and the ones holding a single value with `single`.
+//
+function snapshotRecords(snapshot, buckets) {
+    const records = new Map();
+    const add = (bucket, key, values, flags) => {
+        const id = recordId(bucket, key);
+        const record = records.get(id) || Object.assign({ bucket, key, values: [] }, flags);
+        record.values = _.union(record.values, makeArray(values));
+        records.set(id, record);
+    };
+    const expiries = (bucket) => ({ expires: expiresBucket(bucket) });
+
+    for (const [userId, user] of Object.entries(snapshot.users || {})) {
+        add(buckets.meta, "users", userId);
+        add(buckets.users, userId, user.roles, expiries(buckets.users));
+        for (const role of user.roles) {
+            add(buckets.roles, role, userId, expiries(buckets.roles));
+        }
+        for (const [role, expiresAt] of Object.entries(user.expiresAt || {})) {
+            add(expiresBucket(buckets.users), userId, expiryEntry(expiresAt, role));
+            add(expiresBucket(buckets.roles), role, expiryEntry(expiresAt, userId));
+        }
+    }
+
+    for (const [role, { parents }] of Object.entries(snapshot.roles || {})) {
+        add(buckets.meta, "roles", role);
+        if (parents && parents.length) add(buckets.parents, role, parents);
+        for (const parent of parents || []) {
+            add(buckets.children, parent, role);
+        }
+    }
+
+    for (const [resource, { owner, allows, expiresAt, denies }] of Object.entries(snapshot.resources || {})) {
+        if (isPattern(resource)) add(buckets.meta, "patterns", resource);
+        if (owner) {
+            add(buckets.owners, resource, owner, { single: true });
+            add(buckets.meta, "owned", resource);
+        }
+        for (const [role, permissions] of Object.entries(allows || {})) {
+            add(buckets.meta, "roles", role);
+            add(buckets.meta, "resources", resource);
+            add(buckets.resources, role, resource);
+            add(allowsBucket(resource), role, permissions, expiries(allowsBucket(resource)));
+        }
+        for (const [role, times] of Object.entries(expiresAt || {})) {
+            for (const [permission, time] of Object.entries(times)) {
+                add(expiresBucket(allowsBucket(resource)), role, expiryEntry(time, permission));
+            }
+        }
+        for (const [role, permissions] of Object.entries(denies || {})) {
+            add(buckets.meta, "roles", role);
+            add(buckets.meta, "resources", resource);
+            add(buckets.denies, role, resource);
+            add(deniesBucket(resource), role, permissions);
+        }
+    }
+
+    return records;
+}
+
+//
+// Merges the policy entries given to applyPolicy() by role: {role: {allows: {resource: [permissions]}, parents, users}}.
+// The users are left undefined for the roles which do not list them.
+//
+function policyRoles(policy) {
+    const roles = {};
+    for (const entry of policy) {
+        for (const role of makeArray(entry.roles)) {
+            const wanted = (roles[role] = roles[role] || { allows: {}, parents: [] });
+            for (const allow of entry.allows || []) {
+                for (const resource of makeArray(allow.resources)) {
+                    wanted.allows[resource] = _.union(wanted.allows[resource], makeArray(allow.permissions));
+                }
+            }
+            wanted.parents = _.union(wanted.parents, makeArray(entry.parents || []));
+            if (entry.users) wanted.users = _.union(wanted.users, makeArray(entry.users));
+        }
+    }
+    return roles;
+}
+
+//
+// Same as policyRoles() for an exported snapshot, telling apart the time-limited permissions and users too.
+// The roles having permissions or parents are marked as `stored`, the ones only given to users are not.
+//
+function snapshotRoles(snapshot) {
+    const roles = {};
+    const role = (name) =>
+        (roles[name] = roles[name] || { allows: {}, expiring: {}, parents: [], users: [], expiringUsers: [] });
+
+    for (const [name, { parents }] of Object.entries(snapshot.roles)) {
+        role(name).parents = parents;
+        role(name).stored = parents.length > 0;
+    }
+    for (const [resource, { allows, expiresAt }] of Object.entries(snapshot.resources)) {
+        for (const [name, permissions] of Object.entries(allows)) {
+            role(name).allows[resource] = permissions;
+            role(name).expiring[resource] = Object.keys((expiresAt && expiresAt[name]) || {});
+            role(name).stored = true;
+        }
+    }
+    for (const [userId, { roles: names, expiresAt }] of Object.entries(snapshot.users)) {
+        for (const name of names) {
+            role(name).users.push(userId);
+            if (expiresAt && expiresAt[name]) role(name).expiringUsers.push(userId);
+        }
+    }
+    return roles;
+}
+
+//
+// Adds the imported records to the current ones. The imported values replace the expiry times
+// of the current ones, and the imported single values replace the current ones.
+//
+function mergeRecords(current, imported) {
+    const merged = new Map();
+    for (const [id, record] of current) {
+        merged.set(id, { ...record });
+    }
+
+    for (const { key, values, expires } of imported.values()) {
+        const expiries = expires && merged.get(recordId(expires, key));
+        if (expiries) {
+            expiries.values = expiries.values.filter((entry) => values.indexOf(parseExpiryEntry(entry).value) === -1);
+        }
+    }
+
+    for (const [id, record] of imported) {
+        const existing = merged.get(id);
+        if (existing && !record.single) {
+            merged.set(id, { ...existing, values: _.union(existing.values, record.values) });
+        } else {
+            merged.set(id, record);
+        }
+    }
+
+    return merged;
+}
+
+//
+// The sorted values coming after `after` and starting with `prefix`, at most `limit` of them.
+//
+function pageOf(values, { after, prefix, limit }) {
+    return values
+        .filter((value) => (after === undefined || value > after) && (!prefix || value.startsWith(prefix)))
+        .sort()
+        .slice(0, limit);
+}
+
 function allowsBucket(role) {
     return "allows_" + role;
 }
 
-function keyFromAllowsBucket(str) {
-    return str.replace(/^allows_/, "");
+function deniesBucket(resource) {
+    return "denies_" + resource;
+}
+
+//
+// Expiry times of values are kept in a mirror bucket, under the same key, as "{expiresAt}:{value}" entries.
+//
+function expiresBucket(bucket) {
+    return "expires_" + bucket;
+}
+
+function expiryEntry(expiresAt, value) {
+    return expiresAt + ":" + value;
+}
+
+function parseExpiryEntry(entry) {
+    const index = entry.indexOf(":");
+    return { expiresAt: Number(entry.slice(0, index)), value: entry.slice(index + 1) };
+}
+
+function expiredValues(entries) {
+    const now = Date.now();
+    const latest = {};
+    for (const entry of entries) {
+        const { expiresAt, value } = parseExpiryEntry(entry);
+        latest[value] = Math.max(latest[value] || 0, expiresAt);
+    }
+    return Object.keys(latest).filter((value) => latest[value] <= now);
+}
+
+//
+// Converts the {expiresAt} or {ttl} (in seconds) options to a timestamp in milliseconds.
+//
+function expiryTime(options) {
+    if (!options || (options.expiresAt == null && options.ttl == null)) {
+        return undefined;
+    }
+
+    const expiresAt =
+        options.expiresAt != null ? new Date(options.expiresAt).getTime() : Date.now() + options.ttl * 1000;
+    if (!Number.isFinite(expiresAt)) {
+        throw new Error(
+            "Invalid expiry time, use a Date or a timestamp as `expiresAt`, or a number of seconds as `ttl`"
+        );
+    }
+    return expiresAt;
+}
+
+function isPattern(resource) {
+    return resource.indexOf("*") !== -1;
+}
+
+//
+// Glob matching over "/" separated path segments. A `**` segment matches zero or more segments,
+// a `*` anywhere else matches any characters within a single segment.
+//
+function matchesPattern(pattern, resource) {
+    return matchSegments(pattern.split("/"), resource.split("/"));
+}
+
+function matchSegments(patternSegments, segments) {
+    if (patternSegments.length === 0) {
+        return segments.length === 0;
+    }
+
+    const [head, ...rest] = patternSegments;
+    if (head === "**") {
+        for (let i = 0; i <= segments.length; i++) {
+            if (matchSegments(rest, segments.slice(i))) return true;
+        }
+        return false;
+    }
+
+    return segments.length > 0 && segmentRegExp(head).test(segments[0]) && matchSegments(rest, segments.slice(1));
+}
+
+function segmentRegExp(patternSegment) {
+    return new RegExp("^" + patternSegment.split("*").map(_.escapeRegExp).join("[^/]*") + "$");
+}
+
+//
+// Permissions left after applying the deny rules. A denied `*` takes everything away.
+//
+function effectivePermissions(allowed, denied) {
+    if (denied.indexOf("*") !== -1) {
+        return [];
+    }
+    return _.difference(
+        allowed.filter((permission) => !isConditional(permission)),
+        denied
+    );
+}
+
+//
+// Conditional permissions are stored as "{permission}?{conditionName}".
+//
+function conditionalPermission(permission, condition) {
+    if (condition.indexOf("?") !== -1) {
+        throw new Error(`Condition names can not contain "?": ${condition}`);
+    }
+    return permission + "?" + condition;
+}
+
+function isConditional(permission) {
+    return permission.indexOf("?") !== -1;
+}
+
+function parseConditional(permission) {
+    const index = permission.lastIndexOf("?");
+    return { permission: permission.slice(0, index), condition: permission.slice(index + 1) };
+}
+
+//
+// The stored permission without its condition, if any.
+//
+function basePermission(permission) {
+    return isConditional(permission) ? parseConditional(permission).permission : permission;
 }
 
 // -----------------------------------------------------------------------------------
 
 exports = module.exports = Acl;
+exports.RoleCycleError = RoleCycleError;
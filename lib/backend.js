@@ -23,6 +23,13 @@ const Backend = {
         // Execute transaction
     },
 
+    /**
+     Discards a transaction which has not ended yet. Optional.
+  */
+    async rollback(transaction) {
+        // Nothing of the transaction gets executed
+    },
+
     /**
     Cleans the whole storage.
   */
@@ -43,6 +50,39 @@ const Backend = {
         contract(arguments).params("array", "array").end();
     },
 
+    /**
+     Returns the values at the bucket's key which come after `after` (if given) and start with `prefix`
+     (if given), sorted, at most `limit` of them. Any order will do, as long as it is always the same.
+     Optional, for listing the big sets a page at a time.
+  */
+    async page(bucket, key, { after, prefix, limit }) {
+        contract(arguments).params("string", "string", "object").end();
+    },
+
+    /**
+     Returns the given roles along with all their ancestors, following the parents bucket, and the union
+     of the values at the keys of all those roles in each of the given buckets, as {roles, unions}.
+     Optional, meant for the backends which can walk the hierarchy in the same query.
+  */
+    async hierarchyUnions(parentsBucket, roles, buckets) {
+        contract(arguments).params("string", "array", "array").end();
+    },
+
+    /**
+     Gathers the rules deciding whether the user is allowed to access the resource, in a single query. Optional.
+
+     `buckets` are the names of the buckets to read from:
+     {users, expiresUsers, parents, owners, meta, allows, expiresAllows, denies},
+     the last three being prefixes, followed by the resource name or pattern.
+
+     Resolves with {roles, allowed, denied}: all the roles of the user including the owner role
+     (if the user owns the resource) and their ancestors, and the permissions those roles are allowed
+     and denied over the resource and every pattern in meta "patterns" matching it. Expired values are left out.
+  */
+    async userRules(buckets, userId, resource, ownerRole) {
+        contract(arguments).params("object", "string", "string", "string").end();
+    },
+
     /**
     Returns the union of the values in the given keys.
   */
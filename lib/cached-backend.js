@@ -0,0 +1,304 @@
+/*
+  Cached Backend.
+
+  Wraps another backend and keeps the results of the reads in memory, bounded by the number of entries (LRU)
+  and optionally by their age (TTL, in seconds).
+
+  Every cache entry remembers the bucket keys it was read from. Writing to a key, once the transaction ends,
+  invalidates exactly the entries which were read from that key.
+
+  If the wrapped backend can watch the changes made by other processes (see RedisBackend.watch()),
+  their writes invalidate the entries the same way, as soon as they are notified. If watching fails, e.g. because
+  the connection may not subscribe, this is logged and the changes of other processes are seen once the entries expire.
+*/
+
+const contract = require("./contract");
+
+function CachedBackend({ backend, max = 10000, ttl = 0, logger }) {
+    this.backend = backend;
+    this.logger = logger;
+    this.max = max;
+    this.ttl = ttl;
+
+    this._entries = new Map(); // In the least recently used first order.
+    this._dependents = new Map(); // bucket => key => Set(entry ids)
+    this._writes = new WeakMap(); // transaction => [[bucket, keys]]
+    this._generation = 0; // Incremented by every invalidation.
+
+    // Advertise the optional methods only if the wrapped backend has them.
+    if (!backend.unions) this.unions = undefined;
+    if (!backend.rollback) this.rollback = undefined;
+    if (!backend.page) this.page = undefined;
+}
+
+CachedBackend.prototype = {
+    async close() {
+        return await this.backend.close();
+    },
+
+    /**
+     Begins a transaction.
+  */
+    async begin() {
+        const transaction = await this.backend.begin();
+        this._writes.set(transaction, []);
+        return transaction;
+    },
+
+    /**
+     Ends a transaction (and executes it)
+  */
+    async end(transaction) {
+        try {
+            return await this.backend.end(transaction);
+        } finally {
+            // Invalidate even if the transaction failed, it might have been applied partially.
+            for (const [bucket, keys] of this._writes.get(transaction) || []) {
+                this.invalidate(bucket, keys);
+            }
+            this._writes.delete(transaction);
+        }
+    },
+
+    /**
+     Discards a transaction which has not ended yet.
+  */
+    async rollback(transaction) {
+        this._writes.delete(transaction);
+        return await this.backend.rollback(transaction);
+    },
+
+    /**
+    Cleans the whole storage.
+  */
+    async clean() {
+        try {
+            return await this.backend.clean();
+        } finally {
+            this.clear();
+        }
+    },
+
+    /**
+     Gets the contents at the bucket's key.
+  */
+    async get(bucket, key) {
+        contract(arguments).params("string", "string").end();
+
+        return await this._cached("get", bucket, [key], () => this.backend.get(bucket, key));
+    },
+
+    /**
+     Gets the union of the keys in each of the specified buckets
+  */
+    async unions(buckets, keys) {
+        contract(arguments).params("array", "array").end();
+
+        const result = {};
+        await this._watch();
+
+        const missing = [];
+        for (const bucket of buckets) {
+            const value = this._read(entryId("union", bucket, keys));
+            if (value) {
+                result[bucket] = value;
+            } else {
+                missing.push(bucket);
+            }
+        }
+
+        if (missing.length) {
+            const generation = this._generation;
+            const response = await this.backend.unions(missing, keys);
+            for (const bucket of missing) {
+                result[bucket] = response[bucket];
+                if (generation === this._generation) {
+                    this._store(entryId("union", bucket, keys), bucket, keys, response[bucket]);
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+    Returns the union of the values in the given keys.
+  */
+    async union(bucket, keys) {
+        contract(arguments).params("string", "array").end();
+
+        return await this._cached("union", bucket, keys, () => this.backend.union(bucket, keys));
+    },
+
+    /**
+    Returns a page of the sorted values at the bucket's key. Pages are not cached.
+  */
+    async page(bucket, key, options) {
+        contract(arguments).params("string", "string", "object").end();
+
+        return await this.backend.page(bucket, key, options);
+    },
+
+    /**
+    Adds values to a given key inside a bucket.
+  */
+    async add(transaction, bucket, key, values) {
+        contract(arguments).params("object|array", "string", "string", "string|array").end();
+
+        this._written(transaction, bucket, [key]);
+        return await this.backend.add(transaction, bucket, key, values);
+    },
+
+    /**
+     Delete the given key(s) at the bucket
+  */
+    async del(transaction, bucket, keys) {
+        contract(arguments).params("object|array", "string", "string|array").end();
+
+        this._written(transaction, bucket, Array.isArray(keys) ? keys.slice() : [keys]);
+        return await this.backend.del(transaction, bucket, keys);
+    },
+
+    /**
+    Removes values from a given key inside a bucket.
+  */
+    async remove(transaction, bucket, key, values) {
+        contract(arguments).params("object|array", "string", "string", "string|array").end();
+
+        this._written(transaction, bucket, [key]);
+        return await this.backend.remove(transaction, bucket, key, values);
+    },
+
+    /**
+    Drops the cache entries which were read from the given keys of the bucket.
+  */
+    invalidate(bucket, keys) {
+        contract(arguments).params("string", "array").end();
+
+        this._generation++;
+
+        const byKey = this._dependents.get(bucket);
+        if (!byKey) return;
+
+        for (const key of keys) {
+            for (const id of byKey.get(key) || []) {
+                this._evict(id);
+            }
+        }
+    },
+
+    /**
+    Drops the whole cache.
+  */
+    clear() {
+        this._generation++;
+        this._entries.clear();
+        this._dependents.clear();
+    },
+
+    //
+    // Private methods
+    //
+
+    async _cached(operation, bucket, keys, read) {
+        await this._watch();
+
+        const id = entryId(operation, bucket, keys);
+        const cached = this._read(id);
+        if (cached) return cached;
+
+        // A write which ended while we were reading might have made the value stale already.
+        const generation = this._generation;
+        const value = await read();
+        if (generation === this._generation) {
+            this._store(id, bucket, keys, value);
+        }
+        return value;
+    },
+
+    // Starts watching the changes made by other processes, once, if the wrapped backend supports it.
+    _watch() {
+        if (!this._watching) {
+            const changed = (bucket, keys) => (bucket === undefined ? this.clear() : this.invalidate(bucket, keys));
+            // A failure is not retried, so that it does not fail or slow down every read.
+            this._watching = Promise.resolve()
+                .then(() => this.backend.watch && this.backend.watch(changed))
+                .catch((err) => {
+                    if (this.logger) this.logger.debug("Not watching the changes of other processes: " + err.message);
+                });
+        }
+        return this._watching;
+    },
+
+    _read(id) {
+        const entry = this._entries.get(id);
+        if (!entry) return;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this._evict(id);
+            return;
+        }
+
+        // Mark as the most recently used.
+        this._entries.delete(id);
+        this._entries.set(id, entry);
+
+        // Copies, so that the callers can not modify the cached values.
+        return entry.value.slice();
+    },
+
+    _store(id, bucket, keys, value) {
+        this._evict(id);
+        keys = [...new Set(keys)];
+
+        this._entries.set(id, {
+            bucket,
+            keys,
+            value: value.slice(),
+            expiresAt: this.ttl ? Date.now() + this.ttl * 1000 : 0,
+        });
+
+        let byKey = this._dependents.get(bucket);
+        if (!byKey) this._dependents.set(bucket, (byKey = new Map()));
+        for (const key of keys) {
+            let ids = byKey.get(key);
+            if (!ids) byKey.set(key, (ids = new Set()));
+            ids.add(id);
+        }
+
+        if (this._entries.size > this.max) {
+            this._evict(this._entries.keys().next().value);
+        }
+    },
+
+    _evict(id) {
+        const entry = this._entries.get(id);
+        if (!entry) return;
+
+        this._entries.delete(id);
+
+        const byKey = this._dependents.get(entry.bucket);
+        for (const key of entry.keys) {
+            const ids = byKey.get(key);
+            ids.delete(id);
+            if (!ids.size) byKey.delete(key);
+        }
+        if (!byKey.size) this._dependents.delete(entry.bucket);
+    },
+
+    _written(transaction, bucket, keys) {
+        const writes = this._writes.get(transaction);
+        if (writes) {
+            writes.push([bucket, keys]);
+        } else {
+            // Not our transaction, play safe.
+            this.invalidate(bucket, keys);
+        }
+    },
+};
+
+function entryId(operation, bucket, keys) {
+    return JSON.stringify([operation, bucket, keys.slice().sort()]);
+}
+
+exports = module.exports = CachedBackend;
@@ -0,0 +1,569 @@
+/*
+  Backend Conformance Suite.
+
+  Mocha test suite checking that a backend implements the contract of lib/backend.js,
+  run it from a test file of the backend:
+
+  require("acl2/conformance")(async () => new MyBackend({ ... }));
+
+  The backend is created once, cleaned before every test and closed after the last one.
+  The optional `unions`, `rollback`, `hierarchyUnions`, `userRules` and `page` methods are tested only
+  if the backend has them.
+*/
+
+const assert = require("node:assert/strict");
+const Acl = require("./acl");
+
+module.exports = function conformance(createBackend) {
+    describe("backend conformance", function () {
+        let backend;
+
+        before(async function () {
+            backend = await createBackend();
+        });
+
+        beforeEach(async function () {
+            await backend.clean();
+        });
+
+        after(async function () {
+            if (!backend) return;
+            await backend.clean();
+            await backend.close();
+        });
+
+        // Adds the values in a transaction of its own.
+        async function add(bucket, key, values) {
+            const transaction = await backend.begin();
+            await backend.add(transaction, bucket, key, values);
+            await backend.end(transaction);
+        }
+
+        async function get(bucket, key) {
+            return (await backend.get(bucket, key)).sort();
+        }
+
+        describe("get", function () {
+            it("should return an empty array for a missing key", async function () {
+                assert.deepEqual(await backend.get("bucket", "missing"), []);
+                assert.deepEqual(await backend.get("missing", "key1"), []);
+            });
+
+            it("should return the values at the bucket's key only", async function () {
+                await add("bucket", "key1", ["1", "2"]);
+                await add("bucket", "key2", "3");
+                await add("other", "key1", "4");
+
+                assert.deepEqual(await get("bucket", "key1"), ["1", "2"]);
+                assert.deepEqual(await get("bucket", "key2"), ["3"]);
+                assert.deepEqual(await get("other", "key1"), ["4"]);
+            });
+
+            it("should support the characters used by the acl in names and values", async function () {
+                await add("allows_/blogs/*", "role:admin", ["edit?workHours", "1700000000000:view"]);
+                await add("allows_/blogs/**/drafts", "role with spaces", "ümlaut");
+
+                assert.deepEqual(await get("allows_/blogs/*", "role:admin"), ["1700000000000:view", "edit?workHours"]);
+                assert.deepEqual(await get("allows_/blogs/**/drafts", "role with spaces"), ["ümlaut"]);
+            });
+        });
+
+        describe("add", function () {
+            it("should accept a single value or an array", async function () {
+                await add("bucket", "key1", "1");
+                await add("bucket", "key1", ["2", "3"]);
+
+                assert.deepEqual(await get("bucket", "key1"), ["1", "2", "3"]);
+            });
+
+            it("should keep the values unique", async function () {
+                await add("bucket", "key1", ["1", "2"]);
+                await add("bucket", "key1", ["2", "3"]);
+
+                assert.deepEqual(await get("bucket", "key1"), ["1", "2", "3"]);
+            });
+        });
+
+        describe("del", function () {
+            beforeEach(async function () {
+                await add("bucket", "key1", "1");
+                await add("bucket", "key2", "2");
+                await add("bucket", "key3", "3");
+                await add("other", "key1", "4");
+            });
+
+            it("should delete a single key", async function () {
+                const transaction = await backend.begin();
+                await backend.del(transaction, "bucket", "key1");
+                await backend.end(transaction);
+
+                assert.deepEqual(await get("bucket", "key1"), []);
+                assert.deepEqual(await get("bucket", "key2"), ["2"]);
+                assert.deepEqual(await get("other", "key1"), ["4"]);
+            });
+
+            it("should delete an array of keys", async function () {
+                const transaction = await backend.begin();
+                await backend.del(transaction, "bucket", ["key1", "key2", "missing"]);
+                await backend.end(transaction);
+
+                assert.deepEqual(await get("bucket", "key1"), []);
+                assert.deepEqual(await get("bucket", "key2"), []);
+                assert.deepEqual(await get("bucket", "key3"), ["3"]);
+            });
+        });
+
+        describe("remove", function () {
+            it("should remove only the given values", async function () {
+                await add("bucket", "key1", ["1", "2", "3"]);
+                await add("bucket", "key2", ["1", "2"]);
+
+                let transaction = await backend.begin();
+                await backend.remove(transaction, "bucket", "key1", ["1", "missing"]);
+                await backend.remove(transaction, "bucket", "key1", "2");
+                await backend.remove(transaction, "bucket", "missing", "1");
+                await backend.end(transaction);
+
+                assert.deepEqual(await get("bucket", "key1"), ["3"]);
+                assert.deepEqual(await get("bucket", "key2"), ["1", "2"]);
+            });
+
+            it("should leave an empty key when removing all the values", async function () {
+                await add("bucket", "key1", ["1", "2"]);
+
+                const transaction = await backend.begin();
+                await backend.remove(transaction, "bucket", "key1", ["1", "2"]);
+                await backend.end(transaction);
+
+                assert.deepEqual(await backend.get("bucket", "key1"), []);
+                assert.deepEqual(await backend.union("bucket", ["key1"]), []);
+            });
+        });
+
+        describe("union", function () {
+            beforeEach(async function () {
+                await add("bucket", "key1", ["1", "2", "3"]);
+                await add("bucket", "key2", ["3", "2", "4"]);
+                await add("bucket", "key3", ["3", "4", "5"]);
+            });
+
+            it("should return the union of the values in the given keys", async function () {
+                assert.deepEqual((await backend.union("bucket", ["key1", "key2"])).sort(), ["1", "2", "3", "4"]);
+                assert.deepEqual((await backend.union("bucket", ["key3", "missing"])).sort(), ["3", "4", "5"]);
+            });
+
+            it("should return an empty array for missing keys", async function () {
+                assert.deepEqual(await backend.union("bucket", ["missing"]), []);
+                assert.deepEqual(await backend.union("missing", ["key1"]), []);
+                assert.deepEqual(await backend.union("bucket", []), []);
+            });
+        });
+
+        describe("unions", function () {
+            const testData = {
+                key1: ["1", "2", "3"],
+                key2: ["3", "2", "4"],
+                key3: ["3", "4", "5"],
+            };
+            const buckets = ["bucket1", "bucket2"];
+
+            before(function () {
+                if (!backend.unions) {
+                    this.skip();
+                }
+            });
+
+            beforeEach(async function () {
+                const transaction = await backend.begin();
+                for (const key of Object.keys(testData)) {
+                    for (const bucket of buckets) {
+                        await backend.add(transaction, bucket, key, testData[key]);
+                    }
+                }
+                await backend.end(transaction);
+            });
+
+            async function unions(buckets, keys) {
+                const result = await backend.unions(buckets, keys);
+                for (const bucket of Object.keys(result)) {
+                    result[bucket].sort();
+                }
+                return result;
+            }
+
+            it("should respond with an appropriate map", async function () {
+                assert.deepEqual(await unions(buckets, Object.keys(testData)), {
+                    bucket1: ["1", "2", "3", "4", "5"],
+                    bucket2: ["1", "2", "3", "4", "5"],
+                });
+            });
+
+            it("should get only the specified keys", async function () {
+                assert.deepEqual(await unions(buckets, ["key1"]), {
+                    bucket1: ["1", "2", "3"],
+                    bucket2: ["1", "2", "3"],
+                });
+            });
+
+            it("should only get the specified buckets", async function () {
+                assert.deepEqual(await unions(["bucket1"], ["key1"]), {
+                    bucket1: ["1", "2", "3"],
+                });
+            });
+
+            it("should map the missing buckets and keys to empty arrays", async function () {
+                assert.deepEqual(await unions(["bucket1", "missing"], ["missing"]), {
+                    bucket1: [],
+                    missing: [],
+                });
+            });
+        });
+
+        describe("clean", function () {
+            it("should remove everything", async function () {
+                await add("bucket", "key1", "1");
+                await add("other", "key2", "2");
+
+                await backend.clean();
+
+                assert.deepEqual(await backend.get("bucket", "key1"), []);
+                assert.deepEqual(await backend.get("other", "key2"), []);
+            });
+        });
+
+        describe("transactions", function () {
+            it("should apply nothing before the transaction ends", async function () {
+                await add("bucket", "key1", "1");
+
+                const transaction = await backend.begin();
+                await backend.add(transaction, "bucket", "key1", "2");
+                await backend.del(transaction, "bucket", "key1");
+                assert.deepEqual(await get("bucket", "key1"), ["1"]);
+
+                await backend.end(transaction);
+                assert.deepEqual(await get("bucket", "key1"), []);
+            });
+
+            it("should apply the operations in order", async function () {
+                await add("bucket", "key1", ["1", "2"]);
+
+                const transaction = await backend.begin();
+                await backend.del(transaction, "bucket", "key1");
+                await backend.add(transaction, "bucket", "key1", "3");
+                await backend.add(transaction, "bucket", "key2", "4");
+                await backend.remove(transaction, "bucket", "key2", "4");
+                await backend.end(transaction);
+
+                assert.deepEqual(await get("bucket", "key1"), ["3"]);
+                assert.deepEqual(await get("bucket", "key2"), []);
+            });
+
+            it("should end an empty transaction", async function () {
+                await backend.end(await backend.begin());
+            });
+
+            it("should apply nothing after a rollback", async function () {
+                if (!backend.rollback) this.skip();
+
+                await add("bucket", "key1", "1");
+
+                const transaction = await backend.begin();
+                await backend.add(transaction, "bucket", "key1", "2");
+                await backend.del(transaction, "bucket", "key1");
+                await backend.rollback(transaction);
+                await backend.end(transaction);
+
+                assert.deepEqual(await get("bucket", "key1"), ["1"]);
+            });
+
+            it("should keep concurrent transactions apart", async function () {
+                const transaction1 = await backend.begin();
+                const transaction2 = await backend.begin();
+                await backend.add(transaction1, "bucket", "key1", "1");
+                await backend.add(transaction2, "bucket", "key2", "2");
+
+                await backend.end(transaction2);
+                assert.deepEqual(await get("bucket", "key1"), []);
+                assert.deepEqual(await get("bucket", "key2"), ["2"]);
+
+                await backend.end(transaction1);
+                assert.deepEqual(await get("bucket", "key1"), ["1"]);
+            });
+        });
+
+        describe("hierarchyUnions", function () {
+            before(function () {
+                if (!backend.hierarchyUnions) {
+                    this.skip();
+                }
+            });
+
+            async function hierarchyUnions(roles, buckets) {
+                const { roles: allRoles, unions } = await backend.hierarchyUnions("parents", roles, buckets);
+                for (const bucket of Object.keys(unions)) {
+                    unions[bucket].sort();
+                }
+                return { roles: allRoles.sort(), unions };
+            }
+
+            it("should walk all the ancestors of the roles", async function () {
+                await add("parents", "admin", ["member", "auditor"]);
+                await add("parents", "member", "guest");
+                await add("parents", "guest", "anonymous");
+                await add("allows_blogs", "admin", "delete");
+                await add("allows_blogs", "member", "edit");
+                await add("allows_blogs", "anonymous", "view");
+                await add("allows_blogs", "stranger", "publish");
+                await add("allows_forums", "auditor", "view");
+
+                assert.deepEqual(await hierarchyUnions(["member"], ["allows_blogs", "allows_forums"]), {
+                    roles: ["anonymous", "guest", "member"],
+                    unions: { allows_blogs: ["edit", "view"], allows_forums: [] },
+                });
+                assert.deepEqual(await hierarchyUnions(["admin", "member"], ["allows_forums", "missing"]), {
+                    roles: ["admin", "anonymous", "auditor", "guest", "member"],
+                    unions: { allows_forums: ["view"], missing: [] },
+                });
+            });
+
+            it("should return the roles having no parents", async function () {
+                await add("allows_blogs", "guest", "view");
+
+                assert.deepEqual(await hierarchyUnions(["guest", "missing"], ["allows_blogs"]), {
+                    roles: ["guest", "missing"],
+                    unions: { allows_blogs: ["view"] },
+                });
+
+                await add("parents", "member", "guest");
+                assert.deepEqual(await hierarchyUnions(["guest", "missing"], ["allows_blogs"]), {
+                    roles: ["guest", "missing"],
+                    unions: { allows_blogs: ["view"] },
+                });
+            });
+
+            it("should stop at the circular parent chains", async function () {
+                await add("parents", "member", "guest");
+                await add("parents", "guest", "member");
+
+                assert.deepEqual(await hierarchyUnions(["member"], []), { roles: ["guest", "member"], unions: {} });
+            });
+        });
+
+        describe("page", function () {
+            before(function () {
+                if (!backend.page) {
+                    this.skip();
+                }
+            });
+
+            // Follows the pages to the end, the way Acl.listUsers() does.
+            async function allPages(bucket, key, prefix, limit) {
+                const values = [];
+                for (let page = []; ; ) {
+                    page = await backend.page(bucket, key, { after: values[values.length - 1], prefix, limit });
+                    assert.ok(page.length <= limit);
+                    values.push(...page);
+                    if (page.length < limit) return values;
+                }
+            }
+
+            it("should return every value once, a page at a time", async function () {
+                const values = ["delta", "alpha", "echo", "bravo", "Charlie", "a.b$c", "foxtrot"];
+                await add("meta", "users", values);
+
+                for (const limit of [1, 3, 7, 10]) {
+                    assert.deepEqual((await allPages("meta", "users", undefined, limit)).sort(), values.slice().sort());
+                }
+            });
+
+            it("should return only the values starting with the prefix", async function () {
+                await add("meta", "users", ["tenant1:alice", "tenant1:bob", "tenant10:carol", "Tenant1:dave", "bob"]);
+
+                assert.deepEqual((await allPages("meta", "users", "tenant1:", 1)).sort(), [
+                    "tenant1:alice",
+                    "tenant1:bob",
+                ]);
+            });
+
+            it("should page through the values changed since the previous pages", async function () {
+                await add("meta", "roles", ["guest", "member", "admin"]);
+                assert.deepEqual(await allPages("meta", "roles", undefined, 2), ["admin", "guest", "member"]);
+
+                const transaction = await backend.begin();
+                await backend.add(transaction, "meta", "roles", ["editor", "viewer"]);
+                await backend.remove(transaction, "meta", "roles", "guest");
+                await backend.end(transaction);
+                assert.deepEqual(await allPages("meta", "roles", undefined, 2), [
+                    "admin",
+                    "editor",
+                    "member",
+                    "viewer",
+                ]);
+
+                const transaction2 = await backend.begin();
+                await backend.del(transaction2, "meta", "roles");
+                await backend.end(transaction2);
+                await add("meta", "roles", "owner");
+                assert.deepEqual(await allPages("meta", "roles", undefined, 2), ["owner"]);
+            });
+
+            it("should page through the sets of the other buckets too", async function () {
+                await add("users", "alice", ["member", "guest", "tenant1:admin", "tenant1:editor", "admin"]);
+
+                assert.deepEqual(await allPages("users", "alice", undefined, 2), [
+                    "admin",
+                    "guest",
+                    "member",
+                    "tenant1:admin",
+                    "tenant1:editor",
+                ]);
+                assert.deepEqual(await allPages("users", "alice", "tenant1:", 1), ["tenant1:admin", "tenant1:editor"]);
+            });
+
+            it("should return an empty page for missing keys", async function () {
+                assert.deepEqual(await backend.page("meta", "missing", { limit: 10 }), []);
+            });
+        });
+
+        describe("userRules", function () {
+            const buckets = {
+                users: "users",
+                expiresUsers: "expires_users",
+                parents: "parents",
+                owners: "owners",
+                meta: "meta",
+                allows: "allows_",
+                expiresAllows: "expires_allows_",
+                denies: "denies_",
+            };
+            let acl;
+
+            before(function () {
+                if (!backend.userRules) {
+                    this.skip();
+                }
+            });
+
+            beforeEach(function () {
+                acl = new Acl(backend);
+            });
+
+            async function userRules(userId, resource) {
+                const rules = await backend.userRules(buckets, userId, resource, "owner");
+                return { roles: rules.roles.sort(), allowed: rules.allowed.sort(), denied: rules.denied.sort() };
+            }
+
+            it("should gather the rules over the role hierarchy and the resource patterns", async function () {
+                await acl.addUserRoles("joed", "member");
+                await acl.addRoleParents("member", "guest");
+                await acl.allow("guest", "/blogs/**", "view");
+                await acl.allow("member", "/blogs/1", ["edit", "delete?workHours"]);
+                await acl.allow("member", "/forums/1", "edit");
+                await acl.deny("guest", "/blogs/*", "delete");
+
+                assert.deepEqual(await userRules("joed", "/blogs/1"), {
+                    roles: ["guest", "member"],
+                    allowed: ["delete?workHours", "edit", "view"],
+                    denied: ["delete"],
+                });
+                assert.deepEqual(await userRules("joed", "/blogs/1/comments"), {
+                    roles: ["guest", "member"],
+                    allowed: ["view"],
+                    denied: [],
+                });
+            });
+
+            it("should add the owner role for the owned resources", async function () {
+                await acl.allow("owner", "/blogs/*", "edit");
+                await acl.setResourceOwner("/blogs/1", "joed");
+
+                assert.deepEqual(await userRules("joed", "/blogs/1"), {
+                    roles: ["owner"],
+                    allowed: ["edit"],
+                    denied: [],
+                });
+                assert.deepEqual(await userRules("joed", "/blogs/2"), { roles: [], allowed: [], denied: [] });
+            });
+
+            it("should leave the expired roles and permissions out", async function () {
+                await acl.addUserRoles("joed", ["member", "guest"]);
+                await acl.addUserRoles("joed", "guest", { expiresAt: Date.now() - 1000 });
+                await acl.allow("member", "/blogs/1", "view", { expiresAt: Date.now() - 1000 });
+                await acl.allow("member", "/blogs/1", "edit", { ttl: 60 });
+
+                assert.deepEqual(await userRules("joed", "/blogs/1"), {
+                    roles: ["member"],
+                    allowed: ["edit"],
+                    denied: [],
+                });
+            });
+        });
+
+        describe("with the acl", function () {
+            let acl;
+
+            beforeEach(function () {
+                acl = new Acl(backend);
+            });
+
+            it("should check the permissions over the role hierarchy", async function () {
+                await acl.allow("guest", "blogs", "view");
+                await acl.allow("member", "blogs", ["edit", "delete"]);
+                await acl.addRoleParents("member", "guest");
+                await acl.addUserRoles("joed", "member");
+
+                assert.equal(await acl.isAllowed("joed", "blogs", ["view", "edit"]), true);
+                assert.equal(await acl.isAllowed("joed", "blogs", "publish"), false);
+                assert.deepEqual((await acl.allowedPermissions("joed", "blogs")).blogs.sort(), [
+                    "delete",
+                    "edit",
+                    "view",
+                ]);
+            });
+
+            it("should keep the children of the roles indexed", async function () {
+                await acl.addRoleParents("member", "guest");
+                await acl.addRoleParents("editor", ["member", "guest"]);
+                assert.deepEqual((await acl.roleChildren("guest")).sort(), ["editor", "member"]);
+                assert.deepEqual((await acl.roleDescendants("guest")).sort(), ["editor", "member"]);
+
+                await acl.removeRoleParents("editor", "guest");
+                assert.deepEqual(await acl.roleChildren("guest"), ["member"]);
+
+                await acl.removeRole("member");
+                assert.deepEqual(await acl.roleChildren("guest"), []);
+                assert.deepEqual(await acl.roleParents("editor"), []);
+            });
+
+            it("should remove roles, resources and permissions", async function () {
+                await acl.allow("member", ["blogs", "forums"], ["view", "edit"]);
+                await acl.addUserRoles("joed", "member");
+
+                await acl.removeAllow("member", "blogs", "edit");
+                assert.equal(await acl.isAllowed("joed", "blogs", "edit"), false);
+                assert.equal(await acl.isAllowed("joed", "blogs", "view"), true);
+
+                await acl.removeResource("forums");
+                assert.equal(await acl.isAllowed("joed", "forums", "view"), false);
+
+                await acl.removeRole("member");
+                assert.equal(await acl.isAllowed("joed", "blogs", "view"), false);
+            });
+
+            it("should round trip a snapshot", async function () {
+                await acl.allow("member", "/blogs/*", "edit", { ttl: 60 });
+                await acl.deny("member", "/blogs/1", "edit");
+                await acl.addUserRoles("joed", "member");
+                await acl.setResourceOwner("/blogs/2", "joed");
+                const snapshot = await acl.export();
+
+                await backend.clean();
+                await acl.import(snapshot);
+
+                assert.deepEqual(await acl.export(), snapshot);
+                assert.equal(await acl.isAllowed("joed", "/blogs/2", "edit"), true);
+                assert.equal(await acl.isAllowed("joed", "/blogs/1", "edit"), false);
+            });
+        });
+    });
+};
@@ -0,0 +1,297 @@
+/*
+  File Backend.
+
+  Same storage as the memory backend, persisted to a file for single process deployments.
+
+  The file is an append-only log, one line per transaction, each line being a JSON array of operations:
+
+  [["add", bucket, key, values], ["del", bucket, keys], ["remove", bucket, key, values], ["clean"]]
+
+  A transaction is applied in memory only after its line is flushed to the disk, so it is durable
+  as a whole or not at all. A line cut short by a crash is dropped when loading the file, one which
+  failed to be written (the disk is full, say) is truncated right away.
+
+  Once enough operations are logged the file is compacted: the whole storage is written to a temporary
+  file as a single ["clean"], ["add", ...] transaction, which then atomically replaces the log. A compaction
+  failing after a transaction was logged does not fail that transaction: it is logged and tried again with the
+  next transaction.
+*/
+
+const fs = require("fs");
+const pathModule = require("path");
+const contract = require("./contract");
+const MemoryBackend = require("./memory-backend");
+
+function FileBackend({ path, compactAfter, logger }) {
+    this.path = path;
+    this.compactAfter = compactAfter || 10000;
+    this.logger = logger;
+
+    this.memory = new MemoryBackend(); // Loaded by open().
+    this._logged = 0; // Operations logged since the last compaction.
+    this._size = 0; // Bytes of the file, up to the end of the last complete line.
+    this._queue = Promise.resolve(); // Writes to the file, one at a time.
+}
+
+FileBackend.prototype = {
+    async close() {
+        if (!this._ready) return;
+
+        await this._ready;
+        await this._enqueue(async () => {
+            await this._file.close();
+            this._file = null;
+            this._ready = null;
+        });
+    },
+
+    /**
+     Begins a transaction.
+  */
+    begin() {
+        // returns a transaction object (just an array of operations will do here.)
+        return [];
+    },
+
+    /**
+     Ends a transaction (and executes it)
+  */
+    async end(transaction) {
+        contract(arguments).params("array").end();
+
+        await this.open();
+        if (transaction.length === 0) return;
+
+        await this._enqueue(async () => {
+            const line = JSON.stringify(transaction) + "\n";
+            try {
+                await this._file.write(line);
+                await this._file.sync();
+            } catch (err) {
+                // Otherwise the next lines would be appended to the partial one, corrupting the file.
+                await this._file.truncate(this._size);
+                throw err;
+            }
+            this._size += Buffer.byteLength(line);
+            await this._apply(transaction);
+
+            this._logged += transaction.length;
+            if (this._logged >= this.compactAfter) {
+                // The transaction is committed already, the log stays as it is until the compaction succeeds.
+                await this._compact().catch((err) => {
+                    if (this.logger) this.logger.debug("Failed to compact " + this.path + ": " + err.message);
+                });
+            }
+        });
+    },
+
+    /**
+     Discards a transaction which has not ended yet.
+  */
+    async rollback(transaction) {
+        contract(arguments).params("array").end();
+
+        transaction.length = 0;
+    },
+
+    /**
+    Cleans the whole storage.
+  */
+    async clean() {
+        await this.open();
+        await this._enqueue(async () => {
+            await this.memory.clean();
+            await this._compact();
+        });
+    },
+
+    /**
+     Gets the contents at the bucket's key.
+  */
+    async get(bucket, key) {
+        contract(arguments).params("string", "string").end();
+
+        await this.open();
+        return await this.memory.get(bucket, key);
+    },
+
+    /**
+     Gets the union of the keys in each of the specified buckets
+  */
+    async unions(buckets, keys) {
+        contract(arguments).params("array", "array").end();
+
+        await this.open();
+        return await this.memory.unions(buckets, keys);
+    },
+
+    /**
+    Returns the union of the values in the given keys.
+  */
+    async union(bucket, keys) {
+        contract(arguments).params("string", "array").end();
+
+        await this.open();
+        return await this.memory.union(bucket, keys);
+    },
+
+    /**
+    Adds values to a given key inside a bucket.
+  */
+    add(transaction, bucket, key, values) {
+        contract(arguments).params("array", "string", "string", "string|array").end();
+
+        transaction.push(["add", bucket, key, makeArray(values)]);
+    },
+
+    /**
+     Delete the given key(s) at the bucket
+  */
+    del(transaction, bucket, keys) {
+        contract(arguments).params("array", "string", "string|array").end();
+
+        transaction.push(["del", bucket, makeArray(keys)]);
+    },
+
+    /**
+    Removes values from a given key inside a bucket.
+  */
+    remove(transaction, bucket, key, values) {
+        contract(arguments).params("array", "string", "string", "string|array").end();
+
+        transaction.push(["remove", bucket, key, makeArray(values)]);
+    },
+
+    /**
+    Loads the file, once. Called by every other method, so calling it is optional.
+  */
+    open() {
+        if (!this._ready) {
+            this._ready = this._load().catch((err) => {
+                this._ready = null;
+                throw err;
+            });
+        }
+        return this._ready;
+    },
+
+    /**
+    Rewrites the file to hold only the current contents of the storage.
+  */
+    async compact() {
+        await this.open();
+        await this._enqueue(() => this._compact());
+    },
+
+    //
+    // Private methods
+    //
+
+    async _load() {
+        this.memory = new MemoryBackend();
+        this._logged = 0;
+
+        let contents = "";
+        try {
+            contents = await fs.promises.readFile(this.path, "utf8");
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err;
+        }
+
+        const lines = contents.split("\n");
+        // Whatever follows the last line break is a line the process crashed while writing.
+        const torn = lines.pop();
+        for (let i = 0; i < lines.length; i++) {
+            let operations;
+            try {
+                operations = JSON.parse(lines[i]);
+            } catch (err) {
+                throw new Error(`Corrupted ACL file ${this.path} at line ${i + 1}: ${err.message}`);
+            }
+            await this._apply(operations);
+            this._logged += operations.length;
+        }
+
+        this._file = await fs.promises.open(this.path, "a");
+        this._size = Buffer.byteLength(contents) - Buffer.byteLength(torn);
+        if (torn) {
+            await this._file.truncate(this._size);
+        }
+    },
+
+    async _apply(operations) {
+        const transaction = this.memory.begin();
+        for (const [type, ...args] of operations) {
+            if (type === "clean") {
+                for (const [bucket, keys] of Object.entries(this.memory._buckets)) {
+                    this.memory.del(transaction, bucket, Object.keys(keys));
+                }
+            } else {
+                this.memory[type](transaction, ...args);
+            }
+        }
+        await this.memory.end(transaction);
+    },
+
+    async _compact() {
+        const operations = [["clean"]];
+        for (const [bucket, keys] of Object.entries(this.memory._buckets)) {
+            for (const [key, values] of Object.entries(keys)) {
+                if (values.length) operations.push(["add", bucket, key, values]);
+            }
+        }
+
+        const line = JSON.stringify(operations) + "\n";
+        const temporary = this.path + ".tmp";
+        try {
+            const file = await fs.promises.open(temporary, "w");
+            try {
+                await file.write(line);
+                await file.sync();
+            } finally {
+                await file.close();
+            }
+
+            // Closed first, as Windows can not replace an open file.
+            await this._file.close();
+            try {
+                await fs.promises.rename(temporary, this.path);
+            } finally {
+                // Appends to the new log, or to the old one if it could not be replaced.
+                this._file = await fs.promises.open(this.path, "a");
+            }
+        } catch (err) {
+            await fs.promises.rm(temporary, { force: true });
+            throw err;
+        }
+
+        await syncDirectory(pathModule.dirname(this.path));
+        this._size = Buffer.byteLength(line);
+        this._logged = 0;
+    },
+
+    _enqueue(write) {
+        const result = this._queue.then(write);
+        this._queue = result.catch(() => {});
+        return result;
+    },
+};
+
+function makeArray(arr) {
+    return Array.isArray(arr) ? arr : [arr];
+}
+
+// Makes the rename durable. Not every platform can open a directory, Windows for one.
+async function syncDirectory(directory) {
+    let handle;
+    try {
+        handle = await fs.promises.open(directory, "r");
+        await handle.sync();
+    } catch {
+        // Best effort.
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+exports = module.exports = FileBackend;
@@ -2,6 +2,9 @@
   Memory Backend.
 
   In-memory implementation of the storage.
+
+  Transactions are all or nothing: every operation journals the previous values of the keys
+  it changes, and if one of them fails the journal is replayed backwards.
 */
 
 const contract = require("./contract"),
@@ -26,12 +29,31 @@ MemoryBackend.prototype = {
      Ends a transaction (and executes it)
   */
     async end(transaction) {
-        // Execute transaction
-        for (let i = 0, len = transaction.length; i < len; i++) {
-            await transaction[i]();
+        contract(arguments).params("array").end();
+
+        const journal = [];
+        try {
+            // Execute transaction
+            for (let i = 0, len = transaction.length; i < len; i++) {
+                await transaction[i](journal);
+            }
+        } catch (err) {
+            for (let i = journal.length - 1; i >= 0; i--) {
+                journal[i]();
+            }
+            throw err;
         }
     },
 
+    /**
+     Discards a transaction which has not ended yet.
+  */
+    async rollback(transaction) {
+        contract(arguments).params("array").end();
+
+        transaction.length = 0;
+    },
+
     /**
     Cleans the whole storage.
   */
@@ -77,16 +99,6 @@ MemoryBackend.prototype = {
     async union(bucket, keys) {
         contract(arguments).params("string", "array").end();
 
-        let match, re;
-        if (!this._buckets[bucket]) {
-            Object.keys(this._buckets).some(function (b) {
-                re = new RegExp("^" + b + "$");
-                match = re.test(bucket);
-                if (match) bucket = b;
-                return match;
-            });
-        }
-
         if (this._buckets[bucket]) {
             const keyArrays = [];
             for (let i = 0, len = keys.length; i < len; i++) {
@@ -108,7 +120,8 @@ MemoryBackend.prototype = {
 
         values = makeArray(values);
 
-        transaction.push(() => {
+        transaction.push((journal) => {
+            this._journal(journal, bucket, [key]);
             if (!this._buckets[bucket]) {
                 this._buckets[bucket] = {};
             }
@@ -128,7 +141,8 @@ MemoryBackend.prototype = {
 
         keys = makeArray(keys);
 
-        transaction.push(() => {
+        transaction.push((journal) => {
+            this._journal(journal, bucket, keys);
             if (this._buckets[bucket]) {
                 for (let i = 0, len = keys.length; i < len; i++) {
                     delete this._buckets[bucket][keys[i]];
@@ -144,13 +158,34 @@ MemoryBackend.prototype = {
         contract(arguments).params("array", "string", "string", "string|array").end();
 
         values = makeArray(values);
-        transaction.push(() => {
+        transaction.push((journal) => {
+            this._journal(journal, bucket, [key]);
             if (this._buckets[bucket] && this._buckets[bucket][key]) {
                 let old = this._buckets[bucket][key];
                 this._buckets[bucket][key] = _.difference(old, values);
             }
         });
     },
+
+    //
+    // Private methods
+    //
+
+    // Remembers how to restore the keys of the bucket to their current values.
+    _journal(journal, bucket, keys) {
+        for (const key of keys) {
+            const stored = this._buckets[bucket] && _.has(this._buckets[bucket], key);
+            const values = stored ? this._buckets[bucket][key] : undefined;
+            journal.push(() => {
+                if (stored) {
+                    this._buckets[bucket] = this._buckets[bucket] || {};
+                    this._buckets[bucket][key] = values;
+                } else if (this._buckets[bucket]) {
+                    delete this._buckets[bucket][key];
+                }
+            });
+        }
+    },
 };
 
 function makeArray(arr) {
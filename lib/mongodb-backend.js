@@ -1,6 +1,12 @@
 /*
   MongoDB Backend.
   Implementation of the storage backend using MongoDB
+
+  Transactions are MongoDB multi-document transactions when the deployment supports them (replica sets
+  and sharded clusters), otherwise their operations are run one at a time.
+
+  Every bucket key is a document {key, [value]: true, _values: [values]}. The `_values` array duplicates the value
+  fields so that $graphLookup can follow them, see hierarchyUnions().
 */
 
 const contract = require("./contract");
@@ -16,6 +22,9 @@ function MongoDBBackend({ client, db, prefix, useSingle, useRawCollectionNames }
     this.prefix = typeof prefix !== 'undefined' ? prefix : "acl_";
     this.useSingle = Boolean(useSingle);
     this.useRawCollectionNames = useRawCollectionNames === false; // requires explicit boolean false value
+
+    this._indexes = new Map(); // collection name => Promise of its index creation
+    this._upgrades = new Map(); // bucket name => Promise of its documents upgrade, see upgradeValues()
 }
 
 MongoDBBackend.prototype = {
@@ -27,7 +36,8 @@ MongoDBBackend.prototype = {
      Begins a transaction.
   */
     async begin() {
-        // returns a transaction object(just an array of functions will do here.)
+        await this.setup();
+        // returns a transaction object(just an array of functions, called with the session, will do here.)
         return [];
     },
 
@@ -35,8 +45,32 @@ MongoDBBackend.prototype = {
      Ends a transaction (and executes it)
   */
     async end(transaction) {
-        const promises = transaction.map((fn) => fn());
-        await Promise.all(promises);
+        contract(arguments).params("array").end();
+
+        if (await this.setup()) {
+            const session = this.mongoClient().startSession();
+            try {
+                await session.withTransaction(() => runAll(transaction, session));
+                return;
+            } catch (err) {
+                // The deployment turned out not to support transactions after all.
+                if (err.code !== illegalOperation) throw err;
+                this._transactions = Promise.resolve(false);
+            } finally {
+                await session.endSession();
+            }
+        }
+
+        await runAll(transaction);
+    },
+
+    /**
+     Discards a transaction which has not ended yet.
+  */
+    async rollback(transaction) {
+        contract(arguments).params("array").end();
+
+        transaction.length = 0;
     },
 
     /**
@@ -46,6 +80,9 @@ MongoDBBackend.prototype = {
         const collections = await this.db.collections();
         const promises = collections.map((coll) => coll.drop());
         await Promise.all(promises);
+        // The indexes were dropped along with the collections.
+        this._indexes.clear();
+        this._upgrades.clear();
     },
 
     /**
@@ -63,8 +100,7 @@ MongoDBBackend.prototype = {
         // Excluding bucket field from search result
         let doc = await collection.findOne(searchParams, { projection: { _bucketname: 0 } });
         if (!_.isObject(doc)) return [];
-        doc = fixKeys(doc);
-        return _.without(_.keys(doc), "key", "_id", "_bucketname");
+        return docValues(doc);
     },
 
     /**
@@ -82,14 +118,97 @@ MongoDBBackend.prototype = {
         if (!collection) throw new Error(`Cannot find the collection ${collName}`);
 
         let docs = await collection.find(searchParams, { projection: { _bucketname: 0 } }).toArray();
-        if (!docs.length) return [];
+        return _.union(...docs.map(docValues));
+    },
 
-        const keyArrays = [];
-        docs = fixAllKeys(docs);
-        for (const doc of docs) {
-            keyArrays.push(...Object.keys(doc));
+    /**
+    Returns the values at the bucket's key which come after `after` and start with `prefix`, at most `limit`
+    of them. The values are sorted in the order of their encoded names, the only one MongoDB can sort them in.
+  */
+    async page(bucket, key, { after, prefix, limit }) {
+        contract(arguments).params("string", "string", "object").end();
+
+        const searchParams = this.useSingle ? { _bucketname: bucket, key: encodeText(key) } : { key: encodeText(key) };
+        const values = { $nin: reservedFields };
+        if (after !== undefined) values.$gt = encodeText(after);
+        if (prefix) values.$regex = "^" + _.escapeRegExp(encodeText(prefix));
+
+        const collection = this.db.collection(this.collectionName(bucket));
+        const docs = await collection
+            .aggregate([
+                { $match: searchParams },
+                { $project: { value: { $objectToArray: "$$ROOT" } } },
+                { $unwind: "$value" },
+                { $match: { "value.k": values } },
+                { $sort: { "value.k": 1 } },
+                { $limit: limit },
+            ])
+            .toArray();
+        return docs.map((doc) => decodeText(doc.value.k));
+    },
+
+    /**
+    Returns the given roles along with all their ancestors, and the union of the values at the keys
+    of all those roles in each of the buckets, as {roles, unions}. A single aggregation walks the parents
+    with $graphLookup and looks the buckets up.
+  */
+    async hierarchyUnions(parentsBucket, roles, buckets) {
+        contract(arguments).params("string", "array", "array").end();
+
+        await this.upgradeValues(parentsBucket);
+
+        // The found parents documents hold the parents of the roles, so do not miss the roles without parents.
+        const parents = {
+            $reduce: { input: "$parents._values", initialValue: [], in: { $concatArrays: ["$$value", "$$this"] } },
+        };
+        const pipeline = [
+            // Starts from any document, replaced by the roles.
+            { $limit: 1 },
+            { $replaceRoot: { newRoot: { roles: { $literal: encodeAll(roles) } } } },
+            {
+                $graphLookup: {
+                    from: this.collectionName(parentsBucket),
+                    startWith: "$roles",
+                    connectFromField: "_values",
+                    connectToField: "key",
+                    as: "parents",
+                    ...(this.useSingle && { restrictSearchWithMatch: { _bucketname: parentsBucket } }),
+                },
+            },
+            { $project: { roles: { $setUnion: ["$roles", parents] } } },
+        ];
+        buckets.forEach((bucket, index) => {
+            const from = this.collectionName(bucket);
+            pipeline.push({
+                $lookup: this.useSingle
+                    ? {
+                          from,
+                          let: { roles: "$roles" },
+                          pipeline: [{ $match: { _bucketname: bucket, $expr: { $in: ["$key", "$$roles"] } } }],
+                          as: "bucket" + index,
+                      }
+                    : { from, localField: "roles", foreignField: "key", as: "bucket" + index },
+            });
+        });
+
+        const collection = this.db.collection(this.collectionName(parentsBucket));
+        const [result] = await collection.aggregate(pipeline).toArray();
+        if (!result) {
+            // Nothing to start from, so there are no parents at all.
+            const unions = {};
+            await Promise.all(
+                buckets.map(async (bucket) => {
+                    unions[bucket] = await this.union(bucket, roles);
+                })
+            );
+            return { roles: _.uniq(roles), unions };
         }
-        return _.without(_.union(keyArrays), "key", "_id", "_bucketname");
+
+        const unions = {};
+        buckets.forEach((bucket, index) => {
+            unions[bucket] = _.union(...result["bucket" + index].map(docValues));
+        });
+        return { roles: result.roles.map(decodeText), unions };
     },
 
     /**
@@ -100,10 +219,12 @@ MongoDBBackend.prototype = {
 
         if (key === "key") throw new Error("Key name 'key' is not allowed.");
         key = encodeText(key);
-        const collectionIndex = this.useSingle ? { _bucketname: 1, key: 1 } : { key: 1 };
         const updateParams = this.useSingle ? { _bucketname: bucket, key: key } : { key: key };
         const collName = this.useSingle ? aclCollectionName : bucket;
-        transaction.push(async () => {
+        // Indexes can not be created within a transaction, so before it.
+        await this.createIndex(collName);
+
+        transaction.push(async (session) => {
             values = makeArray(values);
 
             let collection = this.db.collection(this.prefix + this.removeUnsupportedChar(collName));
@@ -117,15 +238,8 @@ MongoDBBackend.prototype = {
             }
 
             // update documents
-            await collection.updateMany(updateParams, { $set: doc }, { safe: true, upsert: true });
-        });
-
-        transaction.push(async () => {
-            let collection = this.db.collection(this.prefix + this.removeUnsupportedChar(collName));
-
-            if (!collection) throw new Error(`Cannot find the collection ${collName}`);
-
-            await collection.createIndex(collectionIndex);
+            const update = { $set: doc, $addToSet: { _values: { $each: values } } };
+            await collection.updateMany(updateParams, update, { safe: true, upsert: true, session });
         });
     },
 
@@ -138,12 +252,12 @@ MongoDBBackend.prototype = {
         const updateParams = this.useSingle ? { _bucketname: bucket, key: { $in: keys } } : { key: { $in: keys } };
         const collName = this.useSingle ? aclCollectionName : bucket;
 
-        transaction.push(async () => {
+        transaction.push(async (session) => {
             let collection = this.db.collection(this.prefix + this.removeUnsupportedChar(collName));
 
             if (!collection) throw new Error(`Cannot find the collection ${collName}`);
 
-            await collection.deleteMany(updateParams, { safe: true });
+            await collection.deleteMany(updateParams, { safe: true, session });
         });
     },
 
@@ -157,7 +271,7 @@ MongoDBBackend.prototype = {
         const collName = this.useSingle ? aclCollectionName : bucket;
 
         values = makeArray(values);
-        transaction.push(async () => {
+        transaction.push(async (session) => {
             let collection = this.db.collection(this.prefix + this.removeUnsupportedChar(collName));
 
             if (!collection) throw new Error(`Cannot find the collection ${collName}`);
@@ -169,10 +283,89 @@ MongoDBBackend.prototype = {
             }
 
             // update documents
-            await collection.updateMany(updateParams, { $unset: doc }, { safe: true, upsert: true });
+            const update = { $unset: doc, $pullAll: { _values: values } };
+            await collection.updateMany(updateParams, update, { safe: true, upsert: true, session });
         });
     },
 
+    /**
+    Finds out whether the deployment supports transactions and creates the index of the single collection, once.
+    Called by begin(), so calling it is optional. Resolves with whether transactions are supported.
+  */
+    setup() {
+        if (!this._transactions) {
+            this._transactions = Promise.all([
+                this.supportsTransactions(),
+                this.useSingle && this.createIndex(aclCollectionName),
+            ])
+                .then(([supported]) => supported)
+                .catch((err) => {
+                    this._transactions = null;
+                    throw err;
+                });
+        }
+        return this._transactions;
+    },
+
+    async supportsTransactions() {
+        if (!this.mongoClient()) return false;
+
+        // Replica set members report their set name, mongos routers the "isdbgrid" message.
+        // Servers too old to say hello are too old for the transactions the acl needs anyway.
+        const hello = await this.db
+            .admin()
+            .command({ hello: 1 })
+            .catch(() => ({}));
+        return Boolean(hello.setName || hello.msg === "isdbgrid");
+    },
+
+    mongoClient() {
+        return this.client || this.db.client;
+    },
+
+    createIndex(collName) {
+        if (!this._indexes.has(collName)) {
+            const collectionIndex = this.useSingle ? { _bucketname: 1, key: 1 } : { key: 1 };
+            const collection = this.db.collection(this.prefix + this.removeUnsupportedChar(collName));
+            const created = collection.createIndex(collectionIndex).catch((err) => {
+                this._indexes.delete(collName);
+                throw err;
+            });
+            this._indexes.set(collName, created);
+        }
+        return this._indexes.get(collName);
+    },
+
+    // Rebuilds the `_values` array of the documents of the bucket written by the versions which did not keep it, once.
+    // Such documents might have been written to since, their `_values` then lists only the values added meanwhile.
+    upgradeValues(bucket) {
+        if (!this._upgrades.has(bucket)) {
+            const values = {
+                $filter: {
+                    input: { $objectToArray: "$$ROOT" },
+                    cond: { $not: [{ $in: ["$$this.k", reservedFields] }] },
+                },
+            };
+            const filter = this.useSingle ? { _bucketname: bucket } : {};
+            const collection = this.db.collection(this.collectionName(bucket));
+            const upgraded = collection
+                .updateMany(
+                    { ...filter, $expr: { $ne: [{ $size: { $ifNull: ["$_values", []] } }, { $size: values }] } },
+                    [{ $set: { _values: { $map: { input: values, in: "$$this.k" } } } }]
+                )
+                .catch((err) => {
+                    this._upgrades.delete(bucket);
+                    throw err;
+                });
+            this._upgrades.set(bucket, upgraded);
+        }
+        return this._upgrades.get(bucket);
+    },
+
+    collectionName(bucket) {
+        return this.prefix + this.removeUnsupportedChar(this.useSingle ? aclCollectionName : bucket);
+    },
+
     removeUnsupportedChar(text) {
         if (!this.useRawCollectionNames && (typeof text === "string" || text instanceof String)) {
             text = decodeURIComponent(text);
@@ -182,6 +375,16 @@ MongoDBBackend.prototype = {
     },
 };
 
+// Error code of MongoDB standalone servers asked for a transaction.
+const illegalOperation = 20;
+
+// One at a time, the operations on the same key must apply in order.
+async function runAll(transaction, session) {
+    for (const fn of transaction) {
+        await fn(session);
+    }
+}
+
 function encodeText(text) {
     if (typeof text === "string" || text instanceof String) {
         text = encodeURIComponent(text);
@@ -205,14 +408,11 @@ function encodeAll(arr) {
     }
 }
 
-function fixKeys(doc) {
-    if (!doc) return doc;
-    return _.mapKeys(doc, (value, key) => decodeText(key));
-}
+// The fields which are not values.
+const reservedFields = ["key", "_id", "_bucketname", "_values"];
 
-function fixAllKeys(docs) {
-    if (!(docs && docs.length)) return docs;
-    return docs.map(fixKeys);
+function docValues(doc) {
+    return _.without(Object.keys(doc), ...reservedFields).map(decodeText);
 }
 
 function makeArray(arr) {
@@ -2,19 +2,198 @@
 	Redis Backend.
 
   Implementation of the storage backend using Redis
+
+  Every transaction publishes the bucket keys it changed to the "{prefix}_changes" channel,
+  as a JSON array of [bucket, keys] pairs ("null" after clean()), see watch().
+
+  Needs a standalone Redis (or a primary with replicas), not a Redis Cluster: the transactions span keys of many hash
+  slots, and userRulesScript builds the names of the keys it reads, declaring none of them. Behind a proxy refusing
+  such scripts, pass `userRules: false` for Acl.isAllowed() to read the buckets itself.
 */
 
+const crypto = require("crypto");
 const contract = require("./contract");
 
 function noop() {}
 
-function RedisBackend({ redis, prefix }) {
+//
+// Gathers the rules of a user over a resource server side, see userRules(). The same algorithm as
+// Acl.isAllowed() runs with the other backends: the unexpired user roles, the owner role, the role ancestors,
+// the resource patterns matching the resource and the unexpired allowed and denied permissions.
+//
+const userRulesScript = `
+local prefix, users, expiresUsers, parents, owners, meta, allows, expiresAllows, denies,
+    userId, resource, ownerRole = unpack(ARGV, 1, 12)
+local now = tonumber(ARGV[13])
+
+local function members(bucket, key)
+    return redis.call("SMEMBERS", prefix .. "_" .. bucket .. "@" .. key)
+end
+
+local function unexpired(bucket, expires, key)
+    local latest = {}
+    for _, entry in ipairs(members(expires, key)) do
+        local index = string.find(entry, ":", 1, true)
+        local expiresAt, value = tonumber(string.sub(entry, 1, index - 1)), string.sub(entry, index + 1)
+        if not latest[value] or latest[value] < expiresAt then latest[value] = expiresAt end
+    end
+    local values = {}
+    for _, value in ipairs(members(bucket, key)) do
+        if not latest[value] or latest[value] > now then table.insert(values, value) end
+    end
+    return values
+end
+
+local function split(path)
+    local segments = {}
+    for segment in string.gmatch(path .. "/", "([^/]*)/") do table.insert(segments, segment) end
+    return segments
+end
+
+local function matchSegment(pattern, segment)
+    pattern = string.gsub(pattern, "[%^%$%(%)%%%.%[%]%+%-%?]", "%%%0")
+    return string.find(segment, "^" .. string.gsub(pattern, "%*", "[^/]*") .. "$") ~= nil
+end
+
+local function matchSegments(patterns, i, segments, j)
+    if i > #patterns then return j > #segments end
+    if patterns[i] == "**" then
+        for k = j, #segments + 1 do
+            if matchSegments(patterns, i + 1, segments, k) then return true end
+        end
+        return false
+    end
+    return j <= #segments and matchSegment(patterns[i], segments[j]) and matchSegments(patterns, i + 1, segments, j + 1)
+end
+
+local roles, seen = {}, {}
+local function addRoles(names)
+    for _, role in ipairs(names) do
+        if not seen[role] then
+            seen[role] = true
+            table.insert(roles, role)
+        end
+    end
+end
+
+addRoles(unexpired(users, expiresUsers, userId))
+if redis.call("SISMEMBER", prefix .. "_" .. owners .. "@" .. resource, userId) == 1 then addRoles({ ownerRole }) end
+local i = 1
+while i <= #roles do
+    addRoles(members(parents, roles[i]))
+    i = i + 1
+end
+
+local resources = { resource }
+local segments = split(resource)
+for _, pattern in ipairs(members(meta, "patterns")) do
+    if pattern ~= resource and matchSegments(split(pattern), 1, segments, 1) then table.insert(resources, pattern) end
+end
+
+local allowed, denied, found = {}, {}, {}
+for _, role in ipairs(roles) do
+    for _, name in ipairs(resources) do
+        for _, permission in ipairs(unexpired(allows .. name, expiresAllows .. name, role)) do
+            if not found["+" .. permission] then
+                found["+" .. permission] = true
+                table.insert(allowed, permission)
+            end
+        end
+        for _, permission in ipairs(members(denies .. name, role)) do
+            if not found["-" .. permission] then
+                found["-" .. permission] = true
+                table.insert(denied, permission)
+            end
+        end
+    end
+end
+
+return { roles, allowed, denied }
+`;
+const userRulesSha = crypto.createHash("sha1").update(userRulesScript).digest("hex");
+
+//
+// Pages through a set server side, see page(). Only the requested values travel over the network.
+//
+// The sets of the meta bucket are read from a sorted set indexing them, all of its values scored 0 so that they are
+// sorted by their bytes. The first page builds the index, then indexScript keeps it in line with the set. The sets
+// of the other buckets are sorted whole for every page.
+//
+const pageScript = `
+local set, index = KEYS[1], KEYS[2]
+local min, prefix, limit, indexed = ARGV[1], ARGV[2], tonumber(ARGV[3]), ARGV[4] == "1"
+
+if not indexed then
+    local inclusive, bound = string.sub(min, 1, 1) == "[", string.sub(min, 2)
+    local values = {}
+    for _, value in ipairs(redis.call("SMEMBERS", set)) do
+        if (value > bound or (inclusive and value == bound)) and string.sub(value, 1, #prefix) == prefix then
+            table.insert(values, value)
+        end
+    end
+    table.sort(values)
+    return { unpack(values, 1, math.min(limit, #values)) }
+end
+
+if redis.call("EXISTS", index) == 0 then
+    local values = redis.call("SMEMBERS", set)
+    for first = 1, #values, 1000 do
+        local scored = {}
+        for i = first, math.min(first + 999, #values) do
+            table.insert(scored, 0)
+            table.insert(scored, values[i])
+        end
+        redis.call("ZADD", index, unpack(scored))
+    end
+end
+
+local page = {}
+for _, value in ipairs(redis.call("ZRANGEBYLEX", index, min, "+", "LIMIT", 0, limit)) do
+    -- The values starting with the prefix come one after the other, the page ends with them.
+    if string.sub(value, 1, #prefix) ~= prefix then break end
+    table.insert(page, value)
+end
+return page
+`;
+const pageSha = crypto.createHash("sha1").update(pageScript).digest("hex");
+
+//
+// Adds values to (ZADD) or removes them from (ZREM) the sorted index of a set, if it was built already, see pageScript.
+//
+const indexScript = `
+local index, command = KEYS[1], ARGV[1]
+
+if redis.call("EXISTS", index) == 1 then
+    for i = 2, #ARGV do
+        if command == "ZADD" then
+            redis.call("ZADD", index, 0, ARGV[i])
+        else
+            redis.call("ZREM", index, ARGV[i])
+        end
+    end
+end
+`;
+const indexSha = crypto.createHash("sha1").update(indexScript).digest("hex");
+
+function RedisBackend({ redis, prefix, metaBucket, userRules }) {
     this.redis = redis;
     this.prefix = prefix || "acl_";
+    this.metaBucket = metaBucket || "meta";
+    this.channel = this.prefix + "_changes";
+    this._discarded = new WeakSet(); // Rolled back transactions.
+    this._writes = new WeakMap(); // transaction => [[bucket, keys]]
+    this._indexed = new WeakMap(); // transaction => sorted keys written, see _index()
+    this._listeners = new Set(); // See watch().
+
+    if (userRules === false) this.userRules = undefined;
 }
 
 RedisBackend.prototype = {
     async close() {
+        if (this._subscribed) {
+            const subscriber = await this._subscribed.catch(noop);
+            if (subscriber) await subscriber.quit();
+        }
         await this.redis.quit();
     },
 
@@ -22,14 +201,47 @@ RedisBackend.prototype = {
      Begins a transaction
   */
     async begin() {
-        return await this.redis.multi();
+        const transaction = await this.redis.multi();
+        this._writes.set(transaction, []);
+        return transaction;
     },
 
     /**
      Ends a transaction (and executes it)
   */
     async end(transaction) {
-        await transaction.exec();
+        if (this._discarded.has(transaction)) return;
+
+        // Published along with the changes, so that the watchers learn about them as soon as they are applied.
+        const writes = this._writes.get(transaction);
+        if (writes && writes.length) {
+            transaction.publish(this.channel, JSON.stringify(writes));
+        }
+        this._writes.delete(transaction);
+        const indexed = this._indexed.get(transaction) || [];
+        this._indexed.delete(transaction);
+
+        try {
+            await transaction.exec();
+        } catch (err) {
+            // Redis forgot indexScript, once restarted say. The sets were written all the same, their indexes
+            // are dropped for the next page to build them again.
+            const errors = err.errorIndexes ? err.errorIndexes.map((index) => err.replies[index]) : [err];
+            if (!errors.every((error) => String(error.message).startsWith("NOSCRIPT"))) throw err;
+
+            this._indexScript = null;
+            await this.redis.del(indexed);
+        }
+    },
+
+    /**
+     Discards a transaction which has not ended yet.
+  */
+    async rollback(transaction) {
+        contract(arguments).params("object").end();
+
+        // Nothing was sent to Redis yet, the commands are queued by the client until exec().
+        this._discarded.add(transaction);
     },
 
     /**
@@ -37,7 +249,8 @@ RedisBackend.prototype = {
   */
     async clean() {
         const keys = await this.redis.keys(this.prefix + "*");
-        if (keys && keys.length) this.redis.del(keys);
+        if (keys && keys.length) await this.redis.del(keys);
+        await this.redis.publish(this.channel, "null");
     },
 
     /**
@@ -90,12 +303,60 @@ RedisBackend.prototype = {
         return await this.redis.sUnion(keys);
     },
 
+    /**
+     Gathers the rules deciding whether the user is allowed to access the resource, in a single round trip.
+  */
+    async userRules(buckets, userId, resource, ownerRole) {
+        contract(arguments).params("object", "string", "string", "string").end();
+
+        const options = {
+            arguments: [
+                this.prefix,
+                buckets.users,
+                buckets.expiresUsers,
+                buckets.parents,
+                buckets.owners,
+                buckets.meta,
+                buckets.allows,
+                buckets.expiresAllows,
+                buckets.denies,
+                userId,
+                resource,
+                ownerRole,
+                String(Date.now()),
+            ],
+        };
+
+        const [roles, allowed, denied] = await this._eval(userRulesScript, userRulesSha, options);
+        return { roles, allowed, denied };
+    },
+
+    /**
+    Returns the values at the bucket's key which come after `after` and start with `prefix`, at most `limit`
+    of them, sorted by their bytes.
+  */
+    async page(bucket, key, { after, prefix = "", limit }) {
+        contract(arguments).params("string", "string", "object").end();
+
+        // The lowest value of the page: right after `after`, unless the values starting with the prefix come later.
+        const min =
+            after !== undefined && Buffer.compare(Buffer.from(after), Buffer.from(prefix)) >= 0
+                ? "(" + after
+                : "[" + prefix;
+        return await this._eval(pageScript, pageSha, {
+            keys: [this.bucketKey(bucket, key), this.sortedKey(bucket, key)],
+            arguments: [min, prefix, String(limit), this.isIndexed(bucket) ? "1" : "0"],
+        });
+    },
+
     /**
 		Adds values to a given key inside a bucket.
 	*/
     async add(transaction, bucket, key, values) {
         contract(arguments).params("object", "string", "string", "string|array").end();
 
+        this._written(transaction, bucket, [key]);
+        await this._index(transaction, "ZADD", bucket, key, values);
         key = this.bucketKey(bucket, key);
 
         if (Array.isArray(values)) {
@@ -114,10 +375,12 @@ RedisBackend.prototype = {
         contract(arguments).params("object", "string", "string|array").end();
 
         keys = Array.isArray(keys) ? keys : [keys];
+        this._written(transaction, bucket, keys);
 
-        keys = keys.map((key) => this.bucketKey(bucket, key));
+        const redisKeys = keys.map((key) => this.bucketKey(bucket, key));
+        const sortedKeys = this.isIndexed(bucket) ? keys.map((key) => this.sortedKey(bucket, key)) : [];
 
-        await transaction.del(keys);
+        await transaction.del(redisKeys.concat(sortedKeys));
     },
 
     /**
@@ -126,6 +389,8 @@ RedisBackend.prototype = {
     async remove(transaction, bucket, key, values) {
         contract(arguments).params("object", "string", "string", "string|array").end();
 
+        this._written(transaction, bucket, [key]);
+        await this._index(transaction, "ZREM", bucket, key, values);
         key = this.bucketKey(bucket, key);
 
         if (Array.isArray(values)) {
@@ -137,10 +402,96 @@ RedisBackend.prototype = {
         }
     },
 
+    /**
+     Calls the listener with the bucket and the keys changed by every transaction, made by any process
+     sharing the Redis database, this one included. Calls it without arguments when anything might have
+     changed: after clean(), or after reconnecting since the changes published meanwhile are lost.
+
+     Listens on a dedicated connection, duplicating the client. Resolves once listening.
+  */
+    async watch(listener) {
+        contract(arguments).params("function").end();
+
+        this._listeners.add(listener);
+        try {
+            await this._subscribe();
+        } catch (err) {
+            this._listeners.delete(listener);
+            throw err;
+        }
+    },
+
     //
     // Private methods
     //
 
+    // Runs a Lua script by its SHA1 digest, sending the whole script only when Redis does not know it yet.
+    async _eval(script, sha, options) {
+        try {
+            return await this.redis.evalSha(sha, options);
+        } catch (err) {
+            // The script is sent only once, Redis caches it until restarted or flushed.
+            if (!String(err.message).startsWith("NOSCRIPT")) throw err;
+            return await this.redis.eval(script, options);
+        }
+    },
+
+    // Queues an indexScript run in the transaction, for the sets of the meta bucket. The script is loaded once,
+    // see end() for Redis forgetting it meanwhile.
+    async _index(transaction, command, bucket, key, values) {
+        values = Array.isArray(values) ? values : [values];
+        if (!this.isIndexed(bucket) || !values.length) return;
+
+        if (!this._indexScript) {
+            this._indexScript = this.redis.scriptLoad(indexScript).catch((err) => {
+                this._indexScript = null;
+                throw err;
+            });
+        }
+        await this._indexScript;
+
+        const sortedKey = this.sortedKey(bucket, key);
+        transaction.evalSha(indexSha, { keys: [sortedKey], arguments: [command, ...values] });
+        if (!this._indexed.has(transaction)) this._indexed.set(transaction, []);
+        this._indexed.get(transaction).push(sortedKey);
+    },
+
+    // Subscribes to the changes channel, once.
+    _subscribe() {
+        if (!this._subscribed) {
+            this._subscribed = (async () => {
+                const subscriber = this.redis.duplicate();
+                // The client reconnects by itself, the changes missed meanwhile are handled on "ready".
+                subscriber.on("error", noop);
+                await subscriber.connect();
+                subscriber.on("ready", () => this._notify(null));
+                await subscriber.subscribe(this.channel, (message) => this._notify(JSON.parse(message)));
+                return subscriber;
+            })().catch((err) => {
+                this._subscribed = null;
+                throw err;
+            });
+        }
+        return this._subscribed;
+    },
+
+    _notify(writes) {
+        for (const listener of this._listeners) {
+            if (!writes) {
+                listener();
+                continue;
+            }
+            for (const [bucket, keys] of writes) {
+                listener(bucket, keys);
+            }
+        }
+    },
+
+    _written(transaction, bucket, keys) {
+        const writes = this._writes.get(transaction);
+        if (writes) writes.push([bucket, keys]);
+    },
+
     bucketKey(bucket, keys) {
         if (Array.isArray(keys)) {
             return keys.map((key) => this.prefix + "_" + bucket + "@" + key);
@@ -148,6 +499,16 @@ RedisBackend.prototype = {
             return this.prefix + "_" + bucket + "@" + keys;
         }
     },
+
+    // Whether the sets of the bucket are indexed for page(): those of the meta bucket, of any acl tenant.
+    isIndexed(bucket) {
+        return bucket === this.metaBucket || bucket.endsWith(":" + this.metaBucket);
+    },
+
+    // The key of the sorted set indexing the set at the bucket's key, see pageScript.
+    sortedKey(bucket, key) {
+        return this.bucketKey(bucket, key) + "#sorted";
+    },
 };
 
 exports = module.exports = RedisBackend;
@@ -0,0 +1,169 @@
+/*
+  Scoped Backend.
+
+  Wraps another backend and prefixes all the bucket names with a scope, e.g. a tenant name.
+  This way many isolated ACLs can share a single backend instance and its connection.
+*/
+
+const contract = require("./contract");
+
+function ScopedBackend({ backend, scope }) {
+    if (scope.indexOf(":") !== -1) throw new Error(`Scope names can not contain ":": ${scope}`);
+
+    this.backend = backend;
+    this.scope = scope;
+
+    // Advertise the optional methods only if the wrapped backend has them.
+    if (!backend.unions) this.unions = undefined;
+    if (!backend.rollback) this.rollback = undefined;
+    if (!backend.hierarchyUnions) this.hierarchyUnions = undefined;
+    if (!backend.page) this.page = undefined;
+    if (!backend.userRules) this.userRules = undefined;
+}
+
+ScopedBackend.prototype = {
+    // The connection is shared, it is closed by the owner of the wrapped backend.
+    async close() {},
+
+    /**
+     Begins a transaction.
+  */
+    async begin() {
+        return await this.backend.begin();
+    },
+
+    /**
+     Ends a transaction (and executes it)
+  */
+    async end(transaction) {
+        return await this.backend.end(transaction);
+    },
+
+    /**
+     Discards a transaction which has not ended yet.
+  */
+    async rollback(transaction) {
+        return await this.backend.rollback(transaction);
+    },
+
+    /**
+    Cleans the whole storage.
+  */
+    async clean() {
+        throw new Error(`Cannot clean the "${this.scope}" scope alone, clean the wrapped backend instead`);
+    },
+
+    /**
+     Gets the contents at the bucket's key.
+  */
+    async get(bucket, key) {
+        contract(arguments).params("string", "string").end();
+
+        return await this.backend.get(this.bucketName(bucket), key);
+    },
+
+    /**
+     Gets the union of the keys in each of the specified buckets
+  */
+    async unions(buckets, keys) {
+        contract(arguments).params("array", "array").end();
+
+        const response = await this.backend.unions(
+            buckets.map((bucket) => this.bucketName(bucket)),
+            keys
+        );
+
+        const result = {};
+        for (const bucket of buckets) {
+            result[bucket] = response[this.bucketName(bucket)];
+        }
+        return result;
+    },
+
+    /**
+    Returns the union of the values in the given keys.
+  */
+    async union(bucket, keys) {
+        contract(arguments).params("string", "array").end();
+
+        return await this.backend.union(this.bucketName(bucket), keys);
+    },
+
+    /**
+    Returns a page of the sorted values at the bucket's key.
+  */
+    async page(bucket, key, options) {
+        contract(arguments).params("string", "string", "object").end();
+
+        return await this.backend.page(this.bucketName(bucket), key, options);
+    },
+
+    /**
+     Returns the roles along with their ancestors, and the unions of the buckets over all of them.
+  */
+    async hierarchyUnions(parentsBucket, roles, buckets) {
+        contract(arguments).params("string", "array", "array").end();
+
+        const response = await this.backend.hierarchyUnions(
+            this.bucketName(parentsBucket),
+            roles,
+            buckets.map((bucket) => this.bucketName(bucket))
+        );
+
+        const unions = {};
+        for (const bucket of buckets) {
+            unions[bucket] = response.unions[this.bucketName(bucket)];
+        }
+        return { roles: response.roles, unions };
+    },
+
+    /**
+     Gathers the rules deciding whether the user is allowed to access the resource, in a single query.
+  */
+    async userRules(buckets, userId, resource, ownerRole) {
+        contract(arguments).params("object", "string", "string", "string").end();
+
+        const scoped = {};
+        for (const name of Object.keys(buckets)) {
+            scoped[name] = this.bucketName(buckets[name]);
+        }
+        return await this.backend.userRules(scoped, userId, resource, ownerRole);
+    },
+
+    /**
+    Adds values to a given key inside a bucket.
+  */
+    async add(transaction, bucket, key, values) {
+        contract(arguments).params("object|array", "string", "string", "string|array").end();
+
+        return await this.backend.add(transaction, this.bucketName(bucket), key, values);
+    },
+
+    /**
+     Delete the given key(s) at the bucket
+  */
+    async del(transaction, bucket, keys) {
+        contract(arguments).params("object|array", "string", "string|array").end();
+
+        return await this.backend.del(transaction, this.bucketName(bucket), keys);
+    },
+
+    /**
+    Removes values from a given key inside a bucket.
+  */
+    async remove(transaction, bucket, key, values) {
+        contract(arguments).params("object|array", "string", "string", "string|array").end();
+
+        return await this.backend.remove(transaction, this.bucketName(bucket), key, values);
+    },
+
+    //
+    // Private methods
+    //
+
+    bucketName(bucket) {
+        return this.scope + ":" + bucket;
+    },
+};
+
+exports = module.exports = ScopedBackend;
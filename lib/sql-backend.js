@@ -0,0 +1,262 @@
+/*
+  SQL Backend.
+
+  Implementation of the storage backend using PostgreSQL (a `pg` Pool) or SQLite
+  (a `better-sqlite3` Database or a `node:sqlite` DatabaseSync).
+
+  All the buckets are stored in a single table, one row per value:
+
+  acl_buckets(bucket, key, value), primary key (bucket, key, value)
+*/
+
+const contract = require("./contract");
+
+// The most rows written by a single statement, well below the SQLite and PostgreSQL parameter limits.
+const maxRows = 500;
+
+function SqlBackend({ pool, db, prefix }) {
+    if (!pool === !db) throw new Error("Pass either a PostgreSQL `pool` or a SQLite `db`");
+
+    this.pool = pool;
+    this.db = db;
+    this.table = (prefix !== undefined ? prefix : "acl_") + "buckets";
+    if (!/^\w+$/.test(this.table)) throw new Error(`Invalid table prefix: ${prefix}`);
+}
+
+SqlBackend.prototype = {
+    async close() {
+        if (this.pool) await this.pool.end();
+        else this.db.close();
+    },
+
+    /**
+     Begins a transaction.
+  */
+    async begin() {
+        // returns a transaction object (just an array of [sql, params] statements will do here.)
+        return [];
+    },
+
+    /**
+     Ends a transaction (and executes it)
+  */
+    async end(transaction) {
+        contract(arguments).params("array").end();
+
+        await this.setup();
+
+        if (this.db) {
+            // SQLite runs the statements synchronously, so nothing else can run in between.
+            this.db.exec("BEGIN");
+            try {
+                for (const [sql, params] of transaction) {
+                    this.db.prepare(sql).run(...params);
+                }
+                this.db.exec("COMMIT");
+            } catch (err) {
+                this.db.exec("ROLLBACK");
+                throw err;
+            }
+            return;
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query("BEGIN");
+            for (const [sql, params] of transaction) {
+                await client.query(postgresPlaceholders(sql), params);
+            }
+            await client.query("COMMIT");
+        } catch (err) {
+            await client.query("ROLLBACK");
+            throw err;
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     Discards a transaction which has not ended yet.
+  */
+    async rollback(transaction) {
+        contract(arguments).params("array").end();
+
+        transaction.length = 0;
+    },
+
+    /**
+    Cleans the whole storage.
+  */
+    async clean() {
+        await this.setup();
+        await this.run(`DELETE FROM ${this.table}`);
+    },
+
+    /**
+     Gets the contents at the bucket's key.
+  */
+    async get(bucket, key) {
+        contract(arguments).params("string", "string").end();
+
+        const rows = await this.query(`SELECT value FROM ${this.table} WHERE bucket = ? AND "key" = ?`, [bucket, key]);
+        return rows.map((row) => row.value);
+    },
+
+    /**
+    Gets an object mapping each passed bucket to the union of the specified keys inside that bucket.
+  */
+    async unions(buckets, keys) {
+        contract(arguments).params("array", "array").end();
+
+        const result = {};
+        for (const bucket of buckets) {
+            result[bucket] = [];
+        }
+        if (buckets.length === 0 || keys.length === 0) return result;
+
+        const where = `bucket IN (${placeholders(buckets)}) AND "key" IN (${placeholders(keys)})`;
+        const rows = await this.query(
+            `SELECT DISTINCT bucket, value FROM ${this.table} WHERE ${where}`,
+            buckets.concat(keys)
+        );
+        for (const row of rows) {
+            result[row.bucket].push(row.value);
+        }
+        return result;
+    },
+
+    /**
+    Returns the union of the values in the given keys.
+  */
+    async union(bucket, keys) {
+        contract(arguments).params("string", "array").end();
+
+        if (keys.length === 0) return [];
+
+        const rows = await this.query(
+            `SELECT DISTINCT value FROM ${this.table} WHERE bucket = ? AND "key" IN (${placeholders(keys)})`,
+            [bucket].concat(keys)
+        );
+        return rows.map((row) => row.value);
+    },
+
+    /**
+    Returns the sorted values at the bucket's key which come after `after` and start with `prefix`,
+    at most `limit` of them.
+  */
+    async page(bucket, key, { after, prefix, limit }) {
+        contract(arguments).params("string", "string", "object").end();
+
+        let sql = `SELECT value FROM ${this.table} WHERE bucket = ? AND "key" = ?`;
+        const params = [bucket, key];
+        if (after !== undefined) {
+            sql += " AND value > ?";
+            params.push(after);
+        }
+        if (prefix) {
+            // Unlike LIKE, case sensitive in SQLite too.
+            sql += " AND substr(value, 1, ?) = ?";
+            params.push(prefix.length, prefix);
+        }
+        const rows = await this.query(sql + " ORDER BY value LIMIT ?", params.concat(limit));
+        return rows.map((row) => row.value);
+    },
+
+    /**
+    Adds values to a given key inside a bucket.
+  */
+    async add(transaction, bucket, key, values) {
+        contract(arguments).params("array", "string", "string", "string|array").end();
+
+        for (const chunk of chunks(makeArray(values))) {
+            const rows = chunk.map(() => "(?, ?, ?)").join(", ");
+            transaction.push([
+                `INSERT INTO ${this.table} (bucket, "key", value) VALUES ${rows} ON CONFLICT DO NOTHING`,
+                [].concat(...chunk.map((value) => [bucket, key, value])),
+            ]);
+        }
+    },
+
+    /**
+     Delete the given key(s) at the bucket
+  */
+    async del(transaction, bucket, keys) {
+        contract(arguments).params("array", "string", "string|array").end();
+
+        for (const chunk of chunks(makeArray(keys))) {
+            transaction.push([
+                `DELETE FROM ${this.table} WHERE bucket = ? AND "key" IN (${placeholders(chunk)})`,
+                [bucket].concat(chunk),
+            ]);
+        }
+    },
+
+    /**
+    Removes values from a given key inside a bucket.
+  */
+    async remove(transaction, bucket, key, values) {
+        contract(arguments).params("array", "string", "string", "string|array").end();
+
+        for (const chunk of chunks(makeArray(values))) {
+            transaction.push([
+                `DELETE FROM ${this.table} WHERE bucket = ? AND "key" = ? AND value IN (${placeholders(chunk)})`,
+                [bucket, key].concat(chunk),
+            ]);
+        }
+    },
+
+    //
+    // Private methods
+    //
+
+    // Creates the table, once.
+    setup() {
+        if (!this._ready) {
+            const columns = `bucket TEXT NOT NULL, "key" TEXT NOT NULL, value TEXT NOT NULL`;
+            const sql = `CREATE TABLE IF NOT EXISTS ${this.table} (${columns}, PRIMARY KEY (bucket, "key", value))`;
+            this._ready = this.run(sql).catch((err) => {
+                this._ready = null;
+                throw err;
+            });
+        }
+        return this._ready;
+    },
+
+    async query(sql, params) {
+        await this.setup();
+
+        if (this.db) return this.db.prepare(sql).all(...params);
+
+        const { rows } = await this.pool.query(postgresPlaceholders(sql), params);
+        return rows;
+    },
+
+    async run(sql) {
+        if (this.db) this.db.exec(sql);
+        else await this.pool.query(sql);
+    },
+};
+
+function makeArray(arr) {
+    return Array.isArray(arr) ? arr : [arr];
+}
+
+function placeholders(values) {
+    return values.map(() => "?").join(", ");
+}
+
+// The statements are written with SQLite style "?" placeholders, PostgreSQL numbers them instead: $1, $2...
+function postgresPlaceholders(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => "$" + ++index);
+}
+
+function chunks(values) {
+    const result = [];
+    for (let i = 0; i < values.length; i += maxRows) {
+        result.push(values.slice(i, i + maxRows));
+    }
+    return result;
+}
+
+exports = module.exports = SqlBackend;
@@ -1,66 +1,370 @@
 const assert = require("node:assert/strict");
 
-const testData = {
-    key1: ["1", "2", "3"],
-    key2: ["3", "2", "4"],
-    key3: ["3", "4", "5"],
-};
-const buckets = ["bucket1", "bucket2"];
-
-describe("unions", function () {
-    let backend;
+require("../conformance")(() => require("./create-backend")());
+
+describe("memory backend", function () {
+    const Acl = require("../");
+
+    before(function () {
+        if (process.env.ACL_BACKEND !== "memory") {
+            this.skip();
+        }
+    });
+
+    it("should restore the storage when a transaction fails halfway", async function () {
+        const backend = new Acl.memoryBackend();
+        let transaction = await backend.begin();
+        await backend.add(transaction, "bucket", "key1", ["1", "2"]);
+        await backend.add(transaction, "bucket", "key2", "3");
+        await backend.end(transaction);
+
+        transaction = await backend.begin();
+        await backend.remove(transaction, "bucket", "key1", "1");
+        await backend.del(transaction, "bucket", "key2");
+        await backend.add(transaction, "bucket", "key3", "4");
+        await backend.add(transaction, "other", "key1", "5");
+        transaction.push(() => {
+            throw new Error("Failed halfway");
+        });
+        await assert.rejects(backend.end(transaction), /Failed halfway/);
+
+        assert.deepEqual((await backend.get("bucket", "key1")).sort(), ["1", "2"]);
+        assert.deepEqual(await backend.get("bucket", "key2"), ["3"]);
+        assert.deepEqual(await backend.get("bucket", "key3"), []);
+        assert.deepEqual(await backend.get("other", "key1"), []);
+    });
+});
+
+describe("redis backend", function () {
+    const Acl = require("../");
+    let publisher, watcher;
 
     before(async function () {
-        backend = await require("./create-backend")();
-        if (!backend.unions) {
+        if (process.env.ACL_BACKEND !== "redis") {
             this.skip();
         }
+        publisher = await require("./create-backend")();
+        watcher = await require("./create-backend")();
+    });
 
-        await backend.clean();
+    after(async function () {
+        if (publisher) await publisher.close();
+        if (watcher) await watcher.close();
+    });
+
+    it("should notify the watchers of the changes made by other clients", async function () {
+        const changes = [];
+        await watcher.watch((bucket, keys) => changes.push([bucket, keys]));
+
+        const transaction = await publisher.begin();
+        await publisher.add(transaction, "bucket", "key1", "1");
+        await publisher.del(transaction, "other", ["key2", "key3"]);
+        await publisher.end(transaction);
+        await publisher.clean();
+
+        const deadline = Date.now() + 1000;
+        while (changes.length < 3 && Date.now() < deadline) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        assert.deepEqual(changes, [
+            ["bucket", ["key1"]],
+            ["other", ["key2", "key3"]],
+            [undefined, undefined],
+        ]);
+    });
+
+    it("should serve the changes made by other clients from the cache", async function () {
+        const acl = new Acl(publisher);
+        const cachedAcl = new Acl(watcher, null, { cache: {} });
+        await acl.addUserRoles("joed", "member");
+        assert.deepEqual(await cachedAcl.userRoles("joed"), ["member"]);
+
+        await acl.removeUserRoles("joed", "member");
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.deepEqual(await cachedAcl.userRoles("joed"), []);
+    });
+});
+
+describe("file backend", function () {
+    const Acl = require("../");
+    const fs = require("fs");
+    const path = require("path").join(require("os").tmpdir(), "acl_file_backend_test.log");
+
+    async function write(backend, key, values) {
         const transaction = await backend.begin();
-        for (const key of Object.keys(testData)) {
-            for (const bucket of buckets) {
-                await backend.add(transaction, bucket, key, testData[key]);
-            }
+        await backend.add(transaction, "bucket", key, values);
+        await backend.end(transaction);
+    }
+
+    before(function () {
+        if (process.env.ACL_BACKEND !== "file") {
+            this.skip();
         }
+    });
+
+    beforeEach(function () {
+        fs.rmSync(path, { force: true });
+    });
+
+    after(function () {
+        fs.rmSync(path, { force: true });
+    });
+
+    it("should keep the data across restarts", async function () {
+        const backend = new Acl.fileBackend({ path });
+        await write(backend, "key1", ["1", "2"]);
+        const transaction = await backend.begin();
+        await backend.remove(transaction, "bucket", "key1", "1");
+        await backend.add(transaction, "bucket", "key2", "3");
         await backend.end(transaction);
+        await backend.close();
+
+        const reopened = new Acl.fileBackend({ path });
+        assert.deepEqual(await reopened.get("bucket", "key1"), ["2"]);
+        assert.deepEqual(await reopened.get("bucket", "key2"), ["3"]);
+        await reopened.close();
     });
 
-    after(async function () {
-        if (!backend) return;
-        await backend.clean();
+    it("should drop a transaction cut short by a crash", async function () {
+        const backend = new Acl.fileBackend({ path });
+        await write(backend, "key1", "1");
         await backend.close();
+        fs.appendFileSync(path, '[["add","bucket","key1",["2"]],["add","buck');
+
+        const reopened = new Acl.fileBackend({ path });
+        assert.deepEqual(await reopened.get("bucket", "key1"), ["1"]);
+        await write(reopened, "key2", "3");
+        await reopened.close();
+
+        const again = new Acl.fileBackend({ path });
+        assert.deepEqual(await again.get("bucket", "key1"), ["1"]);
+        assert.deepEqual(await again.get("bucket", "key2"), ["3"]);
+        await again.close();
     });
 
-    it("should respond with an appropriate map", async function () {
-        const expected = {
-            bucket1: ["1", "2", "3", "4", "5"],
-            bucket2: ["1", "2", "3", "4", "5"],
+    it("should truncate a transaction which failed to be written", async function () {
+        const backend = new Acl.fileBackend({ path });
+        await write(backend, "key1", "1");
+
+        const file = backend._file;
+        const original = file.write;
+        file.write = async (line) => {
+            await original.call(file, line.slice(0, 10));
+            throw new Error("ENOSPC: no space left on device");
         };
+        await assert.rejects(write(backend, "key2", "2"), /ENOSPC/);
+        file.write = original;
+
+        await write(backend, "key3", "3");
+        await backend.close();
+
+        const reopened = new Acl.fileBackend({ path });
+        assert.deepEqual(await reopened.get("bucket", "key1"), ["1"]);
+        assert.deepEqual(await reopened.get("bucket", "key2"), []);
+        assert.deepEqual(await reopened.get("bucket", "key3"), ["3"]);
+        await reopened.close();
+    });
+
+    it("should refuse to load a corrupted file", async function () {
+        fs.writeFileSync(path, '[["add","bucket","key1",["1"]]]\nnot json\n');
+
+        const backend = new Acl.fileBackend({ path });
+        await assert.rejects(backend.get("bucket", "key1"), /Corrupted ACL file .* at line 2/);
+    });
+
+    it("should compact the log", async function () {
+        const backend = new Acl.fileBackend({ path, compactAfter: 3 });
+        await write(backend, "key1", "1");
+        await write(backend, "key1", "2");
+        assert.equal(fs.readFileSync(path, "utf8").split("\n").length - 1, 2);
 
-        const result = await backend.unions(buckets, Object.keys(testData));
+        await write(backend, "key2", "3");
+        assert.equal(fs.readFileSync(path, "utf8").split("\n").length - 1, 1);
+        await backend.close();
 
-        assert.deepEqual(result, expected);
+        const reopened = new Acl.fileBackend({ path });
+        assert.deepEqual((await reopened.get("bucket", "key1")).sort(), ["1", "2"]);
+        assert.deepEqual(await reopened.get("bucket", "key2"), ["3"]);
+        await reopened.close();
     });
 
-    it("should get only the specified keys", async function () {
-        const expected = {
-            bucket1: ["1", "2", "3"],
-            bucket2: ["1", "2", "3"],
+    it("should commit the transactions whose compaction fails, and compact later", async function () {
+        const logged = [];
+        const logger = { debug: (message) => logged.push(message) };
+        const backend = new Acl.fileBackend({ path, compactAfter: 2, logger });
+        await write(backend, "key1", "1");
+
+        const rename = fs.promises.rename;
+        fs.promises.rename = async () => {
+            throw new Error("EACCES: permission denied");
         };
+        try {
+            await write(backend, "key1", "2");
+        } finally {
+            fs.promises.rename = rename;
+        }
+
+        assert.deepEqual((await backend.get("bucket", "key1")).sort(), ["1", "2"]);
+        assert(logged.some((message) => /EACCES/.test(message)));
+        assert(!fs.existsSync(path + ".tmp"));
+
+        await write(backend, "key2", "3");
+        assert.equal(fs.readFileSync(path, "utf8").split("\n").length - 1, 1);
+        await backend.close();
+
+        const reopened = new Acl.fileBackend({ path });
+        assert.deepEqual((await reopened.get("bucket", "key1")).sort(), ["1", "2"]);
+        assert.deepEqual(await reopened.get("bucket", "key2"), ["3"]);
+        await reopened.close();
+    });
+});
 
-        const result = await backend.unions(buckets, ["key1"]);
+// Runs along with the memory backend tests, a stubbed database stands in for the MongoDB server.
+describe("mongodb backend transactions", function () {
+    const Acl = require("../");
+    let calls;
 
-        assert.deepEqual(result, expected);
+    before(function () {
+        if (process.env.ACL_BACKEND !== "memory") {
+            this.skip();
+        }
     });
 
-    it("should only get the specified buckets", async function () {
-        const expected = {
-            bucket1: ["1", "2", "3"],
+    beforeEach(function () {
+        calls = { createIndex: [], sessions: [], writes: [] };
+    });
+
+    // A deployment answering `hello` like a replica set member if `setName` is given.
+    function stubDb({ setName, transactionError } = {}) {
+        const collection = (name) => ({
+            async createIndex(index) {
+                calls.createIndex.push([name, index]);
+            },
+            async updateMany(filter, update, options) {
+                calls.writes.push([name, options.session]);
+            },
+        });
+        const client = {
+            startSession() {
+                const session = {
+                    ended: false,
+                    async withTransaction(run) {
+                        if (transactionError) throw transactionError;
+                        await run();
+                    },
+                    async endSession() {
+                        session.ended = true;
+                    },
+                };
+                calls.sessions.push(session);
+                return session;
+            },
         };
+        const admin = () => ({ command: async () => (setName ? { setName } : {}) });
+        return { client, collection, admin };
+    }
+
+    async function write(backend, bucket, key) {
+        const transaction = await backend.begin();
+        await backend.add(transaction, bucket, key, "value");
+        await backend.end(transaction);
+    }
+
+    it("should create each index once", async function () {
+        const backend = new Acl.mongodbBackend({ db: stubDb() });
+        await write(backend, "bucket1", "key1");
+        await write(backend, "bucket1", "key2");
+        await write(backend, "bucket2", "key1");
+
+        assert.deepEqual(calls.createIndex, [
+            ["acl_bucket1", { key: 1 }],
+            ["acl_bucket2", { key: 1 }],
+        ]);
+    });
+
+    it("should create the index of the single collection once", async function () {
+        const backend = new Acl.mongodbBackend({ db: stubDb(), useSingle: true });
+        await write(backend, "bucket1", "key1");
+        await write(backend, "bucket2", "key1");
+
+        assert.deepEqual(calls.createIndex, [["acl_resources", { _bucketname: 1, key: 1 }]]);
+    });
+
+    it("should run the transactions in a session on replica sets", async function () {
+        const backend = new Acl.mongodbBackend({ db: stubDb({ setName: "rs0" }) });
+        await write(backend, "bucket", "key1");
+
+        assert.equal(calls.sessions.length, 1);
+        assert(calls.sessions[0].ended);
+        assert.equal(calls.writes[0][1], calls.sessions[0]);
+    });
+
+    it("should run the operations one at a time on standalone servers", async function () {
+        const backend = new Acl.mongodbBackend({ db: stubDb() });
+        await write(backend, "bucket", "key1");
+
+        assert.equal(calls.sessions.length, 0);
+        assert.deepEqual(calls.writes, [["acl_bucket", undefined]]);
+    });
+
+    it("should stop using transactions once the deployment turns out not to support them", async function () {
+        const transactionError = Object.assign(new Error("Transaction numbers are only allowed on a replica set"), {
+            code: 20,
+        });
+        const backend = new Acl.mongodbBackend({ db: stubDb({ setName: "rs0", transactionError }) });
+        await write(backend, "bucket", "key1");
+        await write(backend, "bucket", "key2");
+
+        assert.equal(calls.sessions.length, 1);
+        assert(calls.sessions[0].ended);
+        assert.deepEqual(calls.writes, [
+            ["acl_bucket", undefined],
+            ["acl_bucket", undefined],
+        ]);
+    });
+
+    it("should fail the transactions failing for other reasons", async function () {
+        const transactionError = Object.assign(new Error("WriteConflict"), { code: 112 });
+        const backend = new Acl.mongodbBackend({ db: stubDb({ setName: "rs0", transactionError }) });
+
+        await assert.rejects(write(backend, "bucket", "key1"), /WriteConflict/);
+        assert(calls.sessions[0].ended);
+        assert.deepEqual(calls.writes, []);
+    });
+});
+
+describe("mongodb backend", function () {
+    const Acl = require("../");
+    let backend;
+
+    before(async function () {
+        if (process.env.ACL_BACKEND !== "mongo" && process.env.ACL_BACKEND !== "mongo_single") {
+            this.skip();
+        }
+        backend = await require("./create-backend")();
+    });
+
+    after(async function () {
+        if (!backend) return;
+        await backend.clean();
+        await backend.close();
+    });
+
+    it("should follow the parents written by the versions not keeping `_values`", async function () {
+        const acl = new Acl(backend);
+        await acl.addUserRoles("legacy-joe", "legacy-member");
+        await acl.allow("legacy-guest", "legacy-blogs", "view");
+        await acl.allow("legacy-admin", "legacy-blogs", "edit");
+
+        // Stored the way the versions predating `_values` did.
+        const legacy = { key: "legacy-member", "legacy-guest": true };
+        if (backend.useSingle) legacy._bucketname = "parents";
+        await backend.db.collection(backend.collectionName("parents")).insertOne(legacy);
 
-        const result = await backend.unions(["bucket1"], ["key1"]);
+        // Written to before the first permission check.
+        await acl.addRoleParents("legacy-member", "legacy-admin");
 
-        assert.deepEqual(result, expected);
+        assert.equal(await acl.isAllowed("legacy-joe", "legacy-blogs", ["view", "edit"]), true);
+        assert.deepEqual((await acl.roleParents("legacy-member")).sort(), ["legacy-admin", "legacy-guest"]);
     });
 });
@@ -33,5 +33,39 @@ module.exports = async function createBackend(backendType) {
         return new Acl.mongodbBackend({ client, prefix: "acl_", useSingle: true });
     }
 
-    throw new Error("Please assign ACL_BACKEND env const to one of: memory, redis, mongo, mongo_single");
+    if (backendType === "sqlite") {
+        const Database = require("better-sqlite3");
+        const file = require("path").join(require("os").tmpdir(), "acl_test.sqlite");
+        require("fs").rmSync(file, { force: true });
+
+        return new Acl.sqlBackend({ db: new Database(file), prefix: "acl_" });
+    }
+
+    if (backendType === "node_sqlite") {
+        const { DatabaseSync } = require("node:sqlite");
+        const file = require("path").join(require("os").tmpdir(), "acl_test_node.sqlite");
+        require("fs").rmSync(file, { force: true });
+
+        return new Acl.sqlBackend({ db: new DatabaseSync(file), prefix: "acl_" });
+    }
+
+    if (backendType === "file") {
+        const file = require("path").join(require("os").tmpdir(), "acl_test.log");
+        require("fs").rmSync(file, { force: true });
+
+        return new Acl.fileBackend({ path: file, compactAfter: 100 });
+    }
+
+    if (backendType === "postgres") {
+        const { Pool } = require("pg");
+        const pool = new Pool({ connectionString: "postgres://localhost:5432/acl_test" });
+
+        const backend = new Acl.sqlBackend({ pool, prefix: "acl_" });
+        await backend.clean();
+        return backend;
+    }
+
+    throw new Error(
+        "Please assign ACL_BACKEND env const to one of: memory, redis, mongo, mongo_single, sqlite, node_sqlite, postgres, file"
+    );
 };
@@ -15,12 +15,23 @@ describe("acl", () => {
         await backend.close();
     });
 
+    // Returns a backend passing the calls through `call` on to the tested backend, for the tests to watch or
+    // break some of them.
+    function wrappedBackend(call = (method, args) => backend[method](...args)) {
+        const wrapped = {};
+        for (const method of ["begin", "end", "get", "union", "unions", "add", "del", "remove"]) {
+            if (backend[method]) wrapped[method] = (...args) => call(method, args);
+        }
+        return wrapped;
+    }
+
     describe("constructor", function () {
         it("should use default `buckets` names", function () {
             const acl = new Acl(backend);
 
             assert.equal(acl.options.buckets.meta, "meta");
             assert.equal(acl.options.buckets.parents, "parents");
+            assert.equal(acl.options.buckets.children, "children");
             assert.equal(acl.options.buckets.permissions, "permissions");
             assert.equal(acl.options.buckets.resources, "resources");
             assert.equal(acl.options.buckets.roles, "roles");
@@ -46,6 +57,48 @@ describe("acl", () => {
             assert.equal(acl.options.buckets.roles, "Roles");
             assert.equal(acl.options.buckets.users, "Users");
         });
+
+        describe("with some of the `buckets` names given", function () {
+            let acl;
+
+            before(function () {
+                acl = new Acl(backend, null, {
+                    buckets: {
+                        meta: "Meta",
+                        parents: "Parents",
+                        permissions: "Permissions",
+                        resources: "Resources",
+                        roles: "Roles",
+                        users: "Users",
+                    },
+                });
+            });
+
+            it("should keep the default names of the other buckets", async function () {
+                assert.equal(acl.options.buckets.denies, "denies");
+
+                await acl.deny("named-role", "named-docs", "delete");
+                assert.deepEqual(await backend.get("denies", "named-role"), ["named-docs"]);
+                assert.deepEqual(await backend.get("undefined", "named-role"), []);
+            });
+
+            it("should keep the owners apart from the other buckets", async function () {
+                await acl.addRoleParents("named-joed", "named-guest");
+                assert.equal(await acl.resourceOwner("named-guest"), null);
+
+                await acl.setResourceOwner("named-guest", "named-alice");
+                assert.equal(await acl.resourceOwner("named-guest"), "named-alice");
+                assert.deepEqual(await backend.get("owners", "named-guest"), ["named-alice"]);
+            });
+
+            it("should keep the children apart from the other buckets", async function () {
+                await acl.addRoleParents("named-editor", "named-docs");
+                await acl.setResourceOwner("named-docs", "named-bob");
+
+                assert.deepEqual(await acl.roleChildren("named-docs"), ["named-editor"]);
+                assert.deepEqual(await backend.get("children", "named-docs"), ["named-editor"]);
+            });
+        });
     });
 
     describe("allow", function () {
@@ -857,4 +910,1428 @@ describe("acl", () => {
             assert.deepEqual(res.res1.sort(), ["perm1", "perm2", "perm3"]);
         });
     });
+    describe("deny", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+
+            await acl.allow("deny-admin", ["deny-posts", "deny-pages"], "*");
+            await acl.allow("deny-writer", "deny-posts", ["view", "edit", "delete"]);
+            await acl.addRoleParents("deny-moderator", "deny-admin");
+            await acl.deny("deny-moderator", "deny-posts", "delete");
+            await acl.addRoleParents("deny-intern", ["deny-writer", "deny-moderator"]);
+
+            await acl.addUserRoles("deny-mod-user", "deny-moderator");
+            await acl.addUserRoles("deny-intern-user", "deny-intern");
+        });
+
+        it("should override an inherited `*` allow", async function () {
+            assert(await acl.isAllowed("deny-mod-user", "deny-posts", "edit"));
+            assert(!(await acl.isAllowed("deny-mod-user", "deny-posts", "delete")));
+            assert(!(await acl.isAllowed("deny-mod-user", "deny-posts", ["edit", "delete"])));
+            assert(await acl.isAllowed("deny-mod-user", "deny-pages", "delete"));
+        });
+
+        it("should override an allow given by another branch of the hierarchy", async function () {
+            assert(await acl.isAllowed("deny-intern-user", "deny-posts", "view"));
+            assert(!(await acl.isAllowed("deny-intern-user", "deny-posts", "delete")));
+            assert(!(await acl.areAnyRolesAllowed("deny-intern", "deny-posts", "delete")));
+            assert(await acl.areAnyRolesAllowed("deny-writer", "deny-posts", "delete"));
+        });
+
+        it("should be honored by allowedPermissions", async function () {
+            const permissions = await acl.allowedPermissions("deny-intern-user", ["deny-posts", "deny-pages"]);
+
+            assert(permissions["deny-posts"].includes("view"));
+            assert(permissions["deny-posts"].includes("edit"));
+            assert(!permissions["deny-posts"].includes("delete"));
+            assert.deepEqual(permissions["deny-pages"], ["*"]);
+        });
+
+        it("should be honored by whatResources", async function () {
+            const resources = await acl.whatResources("deny-intern");
+            assert(resources["deny-posts"].includes("edit"));
+            assert(!resources["deny-posts"].includes("delete"));
+
+            assert.deepEqual(await acl.whatResources("deny-intern", "delete"), []);
+        });
+
+        it("should deny everything with `*`", async function () {
+            await acl.deny("deny-moderator", "deny-pages", "*");
+
+            assert(!(await acl.isAllowed("deny-mod-user", "deny-pages", "view")));
+            const permissions = await acl.allowedPermissions("deny-mod-user", "deny-pages");
+            assert.deepEqual(permissions["deny-pages"], []);
+            assert(!("deny-pages" in (await acl.whatResources("deny-moderator"))));
+        });
+
+        it("removeDeny should restore the allowed permissions", async function () {
+            await acl.removeDeny("deny-moderator", "deny-posts", "delete");
+            assert(await acl.isAllowed("deny-mod-user", "deny-posts", "delete"));
+
+            await acl.removeDeny("deny-moderator", "deny-pages");
+            assert(await acl.isAllowed("deny-mod-user", "deny-pages", "view"));
+        });
+
+        it("removeRole should remove the deny rules of the role", async function () {
+            await acl.deny("deny-writer", "deny-posts", "edit");
+            assert(!(await acl.isAllowed("deny-intern-user", "deny-posts", "edit")));
+
+            await acl.removeRole("deny-writer");
+            assert(await acl.isAllowed("deny-intern-user", "deny-posts", "edit"));
+        });
+
+        it("removeResource should remove the deny rules over the resource", async function () {
+            await acl.deny("deny-admin", "deny-pages", "view");
+            assert(!(await acl.isAllowed("deny-mod-user", "deny-pages", "view")));
+
+            await acl.removeResource("deny-pages");
+            await acl.allow("deny-admin", "deny-pages", "view");
+            assert(await acl.isAllowed("deny-mod-user", "deny-pages", "view"));
+        });
+    });
+    describe("resource patterns", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+
+            await acl.allow("pattern-reader", "/pattern-blogs/*", "get");
+            await acl.allow("pattern-reader", "projects/**/files", "list");
+            await acl.allow("pattern-editor", "/pattern-blogs/*", ["get", "put"]);
+            await acl.deny("pattern-editor", "/pattern-blogs/*/drafts", "get");
+            await acl.addUserRoles("pattern-user", "pattern-reader");
+            await acl.addUserRoles("pattern-editor-user", "pattern-editor");
+        });
+
+        it("`*` should match exactly one path segment", async function () {
+            assert(await acl.isAllowed("pattern-user", "/pattern-blogs/1", "get"));
+            assert(await acl.isAllowed("pattern-user", "/pattern-blogs/post-2", "get"));
+            assert(!(await acl.isAllowed("pattern-user", "/pattern-blogs", "get")));
+            assert(!(await acl.isAllowed("pattern-user", "/pattern-blogs/1/comments", "get")));
+            assert(!(await acl.isAllowed("pattern-user", "/pattern-blogs/1", "put")));
+        });
+
+        it("`**` should match any number of path segments", async function () {
+            assert(await acl.isAllowed("pattern-user", "projects/files", "list"));
+            assert(await acl.isAllowed("pattern-user", "projects/a/files", "list"));
+            assert(await acl.isAllowed("pattern-user", "projects/a/b/c/files", "list"));
+            assert(!(await acl.isAllowed("pattern-user", "projects/a/files/x", "list")));
+            assert(!(await acl.isAllowed("pattern-user", "other/a/files", "list")));
+        });
+
+        it("should combine literal and pattern rules", async function () {
+            await acl.allow("pattern-reader", "/pattern-blogs/1", "delete");
+
+            assert(await acl.isAllowed("pattern-user", "/pattern-blogs/1", ["get", "delete"]));
+            assert(!(await acl.isAllowed("pattern-user", "/pattern-blogs/2", "delete")));
+        });
+
+        it("deny patterns should override allow patterns", async function () {
+            assert(await acl.isAllowed("pattern-editor-user", "/pattern-blogs/1", "get"));
+            assert(!(await acl.isAllowed("pattern-editor-user", "/pattern-blogs/1/drafts", "get")));
+        });
+
+        it("allowedPermissions should include pattern permissions", async function () {
+            const permissions = await acl.allowedPermissions("pattern-user", ["/pattern-blogs/1", "/pattern-blogs/2"]);
+
+            assert.deepEqual(permissions["/pattern-blogs/1"].sort(), ["delete", "get"]);
+            assert.deepEqual(permissions["/pattern-blogs/2"], ["get"]);
+        });
+
+        it("middleware should match the request url against patterns", async function () {
+            const check = (url, method) =>
+                new Promise((resolve) => {
+                    const req = { originalUrl: url, method, session: { userId: "pattern-editor-user" } };
+                    acl.middleware()(req, {}, resolve);
+                });
+
+            assert.equal(await check("/pattern-blogs/42?x=1", "PUT"), undefined);
+            assert.equal((await check("/pattern-blogs/42", "DELETE")).errorCode, 403);
+        });
+
+        it("should forget the pattern once its last rule is removed", async function () {
+            await acl.allow("pattern-reader", "/pattern-temp/*", "get");
+            await acl.allow("pattern-editor", "/pattern-temp/*", "get");
+            await acl.deny("pattern-editor", "/pattern-temp/*", "put");
+
+            await acl.removeAllow("pattern-reader", "/pattern-temp/*");
+            await acl.removeAllow("pattern-editor", "/pattern-temp/*", "get");
+            assert((await backend.get("meta", "patterns")).indexOf("/pattern-temp/*") !== -1);
+
+            await acl.removeDeny("pattern-editor", "/pattern-temp/*");
+            assert((await backend.get("meta", "patterns")).indexOf("/pattern-temp/*") === -1);
+            assert((await backend.get("meta", "patterns")).indexOf("/pattern-blogs/*") !== -1);
+        });
+
+        it("removeResource should forget the pattern", async function () {
+            await acl.removeResource("/pattern-blogs/*");
+
+            assert(!(await acl.isAllowed("pattern-user", "/pattern-blogs/2", "get")));
+            assert(await acl.isAllowed("pattern-user", "/pattern-blogs/1", "delete"));
+        });
+    });
+    describe("time-limited user roles", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+
+            await acl.allow("expiring-oncall", "expiring-servers", "restart");
+            await acl.addUserRoles("expiring-user", "expiring-member");
+        });
+
+        it("should give the role until it expires", async function () {
+            await acl.addUserRoles("expiring-user", "expiring-oncall", { ttl: 60 });
+
+            assert.deepEqual((await acl.userRoles("expiring-user")).sort(), ["expiring-member", "expiring-oncall"]);
+            assert(await acl.hasRole("expiring-user", "expiring-oncall"));
+            assert(await acl.isAllowed("expiring-user", "expiring-servers", "restart"));
+            assert.deepEqual(await acl.roleUsers("expiring-oncall"), ["expiring-user"]);
+        });
+
+        it("should ignore the role once expired", async function () {
+            await acl.addUserRoles("expiring-user", "expiring-oncall", { expiresAt: new Date(Date.now() - 1000) });
+
+            assert.deepEqual(await acl.userRoles("expiring-user"), ["expiring-member"]);
+            assert(!(await acl.hasRole("expiring-user", "expiring-oncall")));
+            assert(!(await acl.isAllowed("expiring-user", "expiring-servers", "restart")));
+            assert.deepEqual(await acl.roleUsers("expiring-oncall"), []);
+
+            const permissions = await acl.allowedPermissions("expiring-user", "expiring-servers");
+            assert.deepEqual(permissions["expiring-servers"], []);
+        });
+
+        it("should make the role permanent when added again without expiry", async function () {
+            await acl.addUserRoles("expiring-user", "expiring-oncall");
+
+            assert(await acl.hasRole("expiring-user", "expiring-oncall"));
+            assert.deepEqual(await acl.roleUsers("expiring-oncall"), ["expiring-user"]);
+        });
+
+        it("should forget the expiry when the role is removed", async function () {
+            await acl.addUserRoles("expiring-user", "expiring-oncall", { expiresAt: Date.now() - 1000 });
+            await acl.removeUserRoles("expiring-user", "expiring-oncall");
+            await acl.addUserRoles("expiring-user", "expiring-oncall");
+
+            assert(await acl.hasRole("expiring-user", "expiring-oncall"));
+        });
+
+        it("should reject invalid expiry times", async function () {
+            await assert.rejects(acl.addUserRoles("expiring-user", "expiring-oncall", { expiresAt: "never" }));
+        });
+
+        it("should remove the expired roles of the user from the storage", async function () {
+            await acl.addUserRoles("expiring-purged", ["expiring-a", "expiring-b"], { expiresAt: Date.now() - 1000 });
+            await acl.addUserRoles("expiring-purged", "expiring-c");
+
+            assert.deepEqual(await backend.get("users", "expiring-purged"), ["expiring-c"]);
+            assert.deepEqual(await backend.get("expires_users", "expiring-purged"), []);
+            assert.deepEqual(await backend.get("roles", "expiring-a"), []);
+            assert.deepEqual(await backend.get("expires_roles", "expiring-a"), []);
+
+            await acl.addUserRoles("expiring-purged", "expiring-a", { expiresAt: Date.now() - 1000 });
+            await acl.removeUserRoles("expiring-purged", "expiring-c");
+
+            assert.deepEqual(await backend.get("users", "expiring-purged"), []);
+            assert.deepEqual((await acl.listUsers({ prefix: "expiring-purged" })).items, []);
+        });
+
+        it("purgeExpiredRoles should remove the expired roles of every user", async function () {
+            const tenant = acl.tenant("purge");
+            await tenant.addUserRoles("purge-gone", "purge-oncall", { expiresAt: Date.now() - 1000 });
+            await tenant.addUserRoles("purge-kept", "purge-member");
+            await tenant.addUserRoles("purge-kept", "purge-oncall", { expiresAt: Date.now() - 1000 });
+            await tenant.addUserRoles("purge-later", "purge-oncall", { ttl: 60 });
+
+            assert.equal(await tenant.purgeExpiredRoles(), 2);
+
+            assert.deepEqual((await tenant.listUsers()).items.sort(), ["purge-kept", "purge-later"]);
+            assert.deepEqual(await tenant.roleUsers("purge-oncall"), ["purge-later"]);
+            assert.deepEqual(await tenant.userRoles("purge-kept"), ["purge-member"]);
+            assert.equal(await tenant.purgeExpiredRoles(), 0);
+        });
+    });
+    describe("time-limited permissions", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+
+            await acl.allow("grant-member", "grant-reports", "view");
+            await acl.addRoleParents("grant-child", "grant-member");
+            await acl.addUserRoles("grant-user", "grant-child");
+        });
+
+        it("should give the permission until it expires", async function () {
+            await acl.allow("grant-member", "grant-reports", ["export", "print"], { ttl: 60 });
+
+            assert(await acl.isAllowed("grant-user", "grant-reports", ["view", "export", "print"]));
+            const permissions = await acl.allowedPermissions("grant-user", "grant-reports");
+            assert.deepEqual(permissions["grant-reports"].sort(), ["export", "print", "view"]);
+        });
+
+        it("should ignore the permission once expired", async function () {
+            await acl.allow("grant-member", "grant-reports", "export", { expiresAt: Date.now() - 1000 });
+
+            assert(!(await acl.isAllowed("grant-user", "grant-reports", "export")));
+            assert(await acl.isAllowed("grant-user", "grant-reports", ["view", "print"]));
+
+            const permissions = await acl.allowedPermissions("grant-user", "grant-reports");
+            assert.deepEqual(permissions["grant-reports"].sort(), ["print", "view"]);
+
+            const resources = await acl.whatResources("grant-child");
+            assert.deepEqual(resources["grant-reports"].sort(), ["print", "view"]);
+        });
+
+        it("should make the permission permanent when allowed again without expiry", async function () {
+            await acl.allow("grant-member", "grant-reports", "export");
+
+            assert(await acl.isAllowed("grant-user", "grant-reports", "export"));
+        });
+
+        it("should ignore an expired `*`", async function () {
+            await acl.allow("grant-member", "grant-logs", "*", { expiresAt: Date.now() - 1000 });
+
+            assert(!(await acl.isAllowed("grant-user", "grant-logs", "view")));
+            assert(!("grant-logs" in (await acl.whatResources("grant-member"))));
+        });
+
+        it("removeAllow should clean up the resource once the last grant has expired", async function () {
+            await acl.allow("grant-member", "grant-logs", "view", { expiresAt: Date.now() - 1000 });
+            await acl.removeAllow("grant-member", "grant-logs", "*");
+
+            const resources = await backend.get(acl.options.buckets.resources, "grant-member");
+            assert(resources.includes("grant-reports"));
+            assert(!resources.includes("grant-logs"));
+        });
+    });
+    describe("conditional permissions", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+            acl.addCondition("amountBelowLimit", (context) => Boolean(context && context.amount < 10000));
+            acl.addCondition("isWeekday", (context) => Boolean(context && context.day >= 1 && context.day <= 5));
+
+            await acl.allow("cond-editor", "cond-invoices", "view");
+            await acl.allow("cond-editor", "cond-invoices", "approve", { when: "amountBelowLimit" });
+            await acl.allow("cond-manager", "cond-invoices", "*", { when: "isWeekday" });
+            await acl.addUserRoles("cond-user", "cond-editor");
+            await acl.addUserRoles("cond-manager-user", ["cond-editor", "cond-manager"]);
+        });
+
+        it("should grant the permission when the condition holds", async function () {
+            assert(await acl.isAllowed("cond-user", "cond-invoices", "approve", { amount: 500 }));
+            assert(await acl.isAllowed("cond-user", "cond-invoices", ["view", "approve"], { amount: 500 }));
+        });
+
+        it("should not grant the permission when the condition does not hold", async function () {
+            assert(!(await acl.isAllowed("cond-user", "cond-invoices", "approve", { amount: 50000 })));
+            assert(!(await acl.isAllowed("cond-user", "cond-invoices", "approve")));
+            assert(await acl.isAllowed("cond-user", "cond-invoices", "view"));
+        });
+
+        it("should try every condition granting the permission", async function () {
+            assert(await acl.isAllowed("cond-manager-user", "cond-invoices", "approve", { amount: 50000, day: 2 }));
+            assert(await acl.isAllowed("cond-manager-user", "cond-invoices", "approve", { amount: 50, day: 0 }));
+            assert(!(await acl.isAllowed("cond-manager-user", "cond-invoices", "approve", { amount: 50000, day: 0 })));
+            assert(await acl.areAnyRolesAllowed("cond-manager", "cond-invoices", "delete", { day: 3 }));
+        });
+
+        it("should not report conditional permissions as allowed", async function () {
+            const permissions = await acl.allowedPermissions("cond-user", "cond-invoices");
+            assert.deepEqual(permissions["cond-invoices"], ["view"]);
+
+            const resources = await acl.whatResources("cond-editor");
+            assert.deepEqual(resources["cond-invoices"], ["view"]);
+        });
+
+        it("should fail on unknown conditions", async function () {
+            await acl.allow("cond-editor", "cond-invoices", "reject", { when: "notRegistered" });
+
+            await assert.rejects(acl.isAllowed("cond-user", "cond-invoices", "reject", {}), /notRegistered/);
+        });
+
+        it("removeAllow should remove the conditional permission too", async function () {
+            await acl.removeAllow("cond-editor", "cond-invoices", ["approve", "reject"]);
+
+            assert(!(await acl.isAllowed("cond-user", "cond-invoices", "approve", { amount: 500 })));
+            assert(await acl.isAllowed("cond-user", "cond-invoices", "view"));
+        });
+    });
+    describe("resource owners", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+
+            await acl.allow("owner", "/owned-posts/*", ["edit", "delete"]);
+            await acl.allow("owned-reader", "/owned-posts/*", "get");
+            await acl.addUserRoles("owned-author", "owned-reader");
+            await acl.addUserRoles("owned-other", "owned-reader");
+            await acl.setResourceOwner("/owned-posts/1", "owned-author");
+        });
+
+        it("should give the owner permissions to the owner only", async function () {
+            assert.equal(await acl.resourceOwner("/owned-posts/1"), "owned-author");
+
+            assert(await acl.isAllowed("owned-author", "/owned-posts/1", ["get", "edit", "delete"]));
+            assert(!(await acl.isAllowed("owned-author", "/owned-posts/2", "edit")));
+            assert(await acl.isAllowed("owned-other", "/owned-posts/1", "get"));
+            assert(!(await acl.isAllowed("owned-other", "/owned-posts/1", "edit")));
+        });
+
+        it("should give the owner permissions to users without any roles", async function () {
+            await acl.setResourceOwner("/owned-posts/3", "owned-guest");
+
+            assert(await acl.isAllowed("owned-guest", "/owned-posts/3", "edit"));
+            assert(!(await acl.isAllowed("owned-guest", "/owned-posts/3", "get")));
+        });
+
+        it("should be honored by allowedPermissions", async function () {
+            const permissions = await acl.allowedPermissions("owned-author", ["/owned-posts/1", "/owned-posts/2"]);
+
+            assert.deepEqual(permissions["/owned-posts/1"].sort(), ["delete", "edit", "get"]);
+            assert.deepEqual(permissions["/owned-posts/2"], ["get"]);
+        });
+
+        it("middleware should check the owner of the resolved resource", async function () {
+            const check = (url, userId) =>
+                new Promise((resolve) => {
+                    const req = { originalUrl: url, method: "DELETE", session: { userId } };
+                    acl.middleware(2)(req, {}, resolve);
+                });
+
+            assert.equal(await check("/owned-posts/1/comments/5", "owned-author"), undefined);
+            assert.equal((await check("/owned-posts/1/comments/5", "owned-other")).errorCode, 403);
+        });
+
+        it("setResourceOwner should replace the previous owner", async function () {
+            await acl.setResourceOwner("/owned-posts/1", "owned-other");
+
+            assert.equal(await acl.resourceOwner("/owned-posts/1"), "owned-other");
+            assert(await acl.isAllowed("owned-other", "/owned-posts/1", "edit"));
+            assert(!(await acl.isAllowed("owned-author", "/owned-posts/1", "edit")));
+        });
+
+        it("removeResourceOwner and removeResource should remove the owner", async function () {
+            await acl.removeResourceOwner("/owned-posts/1");
+            assert.equal(await acl.resourceOwner("/owned-posts/1"), null);
+            assert(!(await acl.isAllowed("owned-other", "/owned-posts/1", "edit")));
+
+            await acl.removeResource("/owned-posts/3");
+            assert.equal(await acl.resourceOwner("/owned-posts/3"), null);
+        });
+    });
+    describe("tenants", function () {
+        let acl, org1, org2;
+
+        before(async function () {
+            acl = new Acl(backend);
+            org1 = acl.tenant("org-1");
+            org2 = acl.tenant("org-2");
+
+            await org1.allow("tenant-admin", "tenant-projects", "*");
+            await org1.allow("tenant-member", "tenant-projects", "view");
+            await org1.addUserRoles("tenant-alice", "tenant-admin");
+            await org2.allow("tenant-admin", "tenant-billing", "view");
+            await org2.addUserRoles("tenant-alice", "tenant-member");
+        });
+
+        it("should isolate the user roles", async function () {
+            assert.deepEqual(await org1.userRoles("tenant-alice"), ["tenant-admin"]);
+            assert.deepEqual(await org2.userRoles("tenant-alice"), ["tenant-member"]);
+            assert.deepEqual(await acl.userRoles("tenant-alice"), []);
+
+            assert.deepEqual(await org1.roleUsers("tenant-admin"), ["tenant-alice"]);
+            assert.deepEqual(await org2.roleUsers("tenant-admin"), []);
+        });
+
+        it("should isolate the permissions", async function () {
+            assert(await org1.isAllowed("tenant-alice", "tenant-projects", "delete"));
+            assert(!(await org2.isAllowed("tenant-alice", "tenant-projects", "view")));
+            assert(!(await acl.isAllowed("tenant-alice", "tenant-projects", "view")));
+
+            assert.deepEqual(Object.keys(await org1.whatResources("tenant-admin")), ["tenant-projects"]);
+            assert.deepEqual(Object.keys(await org2.whatResources("tenant-admin")), ["tenant-billing"]);
+        });
+
+        it("removeResource should only affect its own tenant", async function () {
+            await org2.allow("tenant-member", "tenant-projects", "view");
+            await org1.removeResource("tenant-projects");
+
+            assert(!(await org1.isAllowed("tenant-alice", "tenant-projects", "view")));
+            assert(await org2.isAllowed("tenant-alice", "tenant-projects", "view"));
+        });
+
+        it("should share the conditions of the acl", async function () {
+            acl.addCondition("tenantAlways", () => true);
+            await org1.allow("tenant-admin", "tenant-reports", "view", { when: "tenantAlways" });
+
+            assert(await org1.isAllowed("tenant-alice", "tenant-reports", "view", {}));
+        });
+
+        it("should reject tenant names containing a colon", function () {
+            assert.throws(() => acl.tenant("org:3"));
+        });
+    });
+    describe("listing", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+            await acl.addUserRoles("list-carol", "list-admin");
+            await acl.addUserRoles("list-alice", "list-member");
+            await acl.addUserRoles("list-bob", "list-member");
+            await acl.addUserRoles("list-dave", "list-member");
+            await acl.addUserRoles("list-erin", "list-guest");
+            await acl.allow("list-guest", ["list-blogs", "list-forums"], "view");
+            await acl.allow("list-admin", "list-blogs", "*");
+            await acl.addRoleParents("list-member", "list-guest");
+        });
+
+        // Follows the cursors to the last page.
+        async function listAll(list, options) {
+            const items = [];
+            let page = { cursor: undefined };
+            do {
+                page = await list({ ...options, cursor: page.cursor });
+                assert.ok(page.items.length <= options.limit);
+                items.push(...page.items);
+            } while (page.cursor !== undefined);
+            return items;
+        }
+
+        it("should list the users a page at a time", async function () {
+            const page = await acl.listUsers({ prefix: "list-", limit: 2 });
+            assert.equal(page.items.length, 2);
+            assert.ok(page.cursor);
+
+            const users = await listAll((options) => acl.listUsers(options), { prefix: "list-", limit: 2 });
+            assert.deepEqual(users.slice().sort(), ["list-alice", "list-bob", "list-carol", "list-dave", "list-erin"]);
+            assert.equal(new Set(users).size, users.length);
+        });
+
+        it("should end without a cursor on the last page", async function () {
+            assert.deepEqual(await acl.listUsers({ prefix: "list-a" }), { items: ["list-alice"] });
+            assert.deepEqual(await acl.listUsers({ prefix: "list-nobody" }), { items: [] });
+        });
+
+        it("should list the roles and the resources", async function () {
+            const roles = await listAll((options) => acl.listRoles(options), { prefix: "list-", limit: 1 });
+            assert.deepEqual(roles.sort(), ["list-admin", "list-guest", "list-member"]);
+
+            const { items } = await acl.listResources({ prefix: "list-" });
+            assert.deepEqual(items.sort(), ["list-blogs", "list-forums"]);
+        });
+
+        it("should not list the removed resources", async function () {
+            await acl.removeResource("list-forums");
+
+            assert.deepEqual((await acl.listResources({ prefix: "list-" })).items, ["list-blogs"]);
+        });
+
+        it("should not list the resources left without rules", async function () {
+            await acl.allow("list-editor", ["list-drafts", "list-news"], "edit");
+            await acl.deny("list-editor", "list-wiki", "delete");
+            await acl.removeAllow("list-editor", "list-drafts", "edit");
+            assert.deepEqual((await acl.listResources({ prefix: "list-" })).items.sort(), [
+                "list-blogs",
+                "list-news",
+                "list-wiki",
+            ]);
+
+            await acl.removeRole("list-editor");
+            assert.deepEqual((await acl.listResources({ prefix: "list-" })).items, ["list-blogs"]);
+        });
+
+        it("should list the resources stored before they were listed", async function () {
+            // Stored the way the versions predating listResources() did.
+            const scoped = new Acl(backend).tenant("list-legacy").backend;
+            const transaction = await scoped.begin();
+            await scoped.add(transaction, "meta", "roles", ["list-guest", "list-banned"]);
+            await scoped.add(transaction, "resources", "list-guest", "list-blogs");
+            await scoped.add(transaction, "allows_list-blogs", "list-guest", "view");
+            await scoped.add(transaction, "denies", "list-banned", "list-forums");
+            await scoped.add(transaction, "denies_list-forums", "list-banned", "view");
+            await scoped.end(transaction);
+
+            const legacy = new Acl(backend).tenant("list-legacy");
+            assert.deepEqual((await legacy.listResources()).items.sort(), ["list-blogs", "list-forums"]);
+            assert.deepEqual((await scoped.get("meta", "indexes")).sort(), ["resources"]);
+        });
+
+        it("should reject invalid limits", async function () {
+            await assert.rejects(() => acl.listUsers({ limit: 0 }), /Invalid limit/);
+            await assert.rejects(() => acl.listRoles({ limit: 1.5 }), /Invalid limit/);
+        });
+    });
+
+    describe("removeUser", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+            await acl.allow("erase-member", "erase-docs", "view");
+            await acl.addUserRoles("erase-alice", "erase-member");
+            await acl.addUserRoles("erase-alice", "erase-oncall", { ttl: 60 });
+            await acl.addUserRoles("erase-alice", "erase-retired", { expiresAt: Date.now() - 1000 });
+            await acl.addUserRoles("erase-bob", ["erase-member", "erase-oncall"], { ttl: 60 });
+            await acl.setResourceOwner("erase-docs", "erase-alice");
+            await acl.setResourceOwner("erase-wiki", "erase-bob");
+        });
+
+        it("should remove every trace of the user in a single transaction", async function () {
+            let transactions = 0;
+            const counting = Object.create(backend);
+            counting.end = (transaction) => {
+                transactions++;
+                return backend.end(transaction);
+            };
+
+            await new Acl(counting).removeUser("erase-alice");
+
+            assert.equal(transactions, 1);
+            assert.deepEqual(await acl.userRoles("erase-alice"), []);
+            assert.deepEqual(await backend.get("users", "erase-alice"), []);
+            assert.deepEqual(await backend.get("expires_users", "erase-alice"), []);
+            assert(!(await acl.isAllowed("erase-alice", "erase-docs", "view")));
+            assert.deepEqual((await acl.listUsers({ prefix: "erase-" })).items, ["erase-bob"]);
+            assert.deepEqual(await backend.get("roles", "erase-retired"), []);
+            assert.deepEqual(await backend.get("expires_roles", "erase-retired"), []);
+            assert.equal(await acl.resourceOwner("erase-docs"), null);
+            assert.equal((await acl.export()).resources["erase-docs"].owner, undefined);
+        });
+
+        it("should leave the other users of the roles alone", async function () {
+            assert.deepEqual(await acl.roleUsers("erase-member"), ["erase-bob"]);
+            assert.deepEqual(await acl.roleUsers("erase-oncall"), ["erase-bob"]);
+            assert(await acl.isAllowed("erase-bob", "erase-docs", "view"));
+            assert.equal(await acl.resourceOwner("erase-wiki"), "erase-bob");
+        });
+
+        it("should do nothing for unknown users", async function () {
+            await acl.removeUser("erase-nobody");
+
+            assert.deepEqual((await acl.listUsers({ prefix: "erase-" })).items, ["erase-bob"]);
+        });
+    });
+
+    describe("renaming", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+            await acl.allow("rename-editor", "rename-docs", ["view", "edit"]);
+            await acl.allow("rename-editor", "rename-drafts", "publish", { ttl: 60 });
+            await acl.allow("rename-guest", "rename-docs/*", "view");
+            await acl.deny("rename-editor", "rename-docs", "delete");
+            await acl.addRoleParents("rename-editor", "rename-guest");
+            await acl.addRoleParents("rename-chief", "rename-editor");
+            await acl.addUserRoles("rename-alice", "rename-editor");
+            await acl.addUserRoles("rename-bob", "rename-editor", { ttl: 60 });
+            await acl.addUserRoles("rename-carol", "rename-chief");
+            await acl.setResourceOwner("rename-docs", "rename-alice");
+        });
+
+        it("should move everything of the role to the new name", async function () {
+            await acl.renameRole("rename-editor", "rename-author");
+
+            assert.deepEqual(await acl.userRoles("rename-alice"), ["rename-author"]);
+            assert.deepEqual(await acl.userRoles("rename-bob"), ["rename-author"]);
+            assert.deepEqual((await acl.roleUsers("rename-author")).sort(), ["rename-alice", "rename-bob"]);
+            assert.deepEqual(await acl.roleUsers("rename-editor"), []);
+            assert.deepEqual(await backend.get("parents", "rename-author"), ["rename-guest"]);
+            assert.deepEqual(await backend.get("parents", "rename-chief"), ["rename-author"]);
+            assert.deepEqual(await backend.get("parents", "rename-editor"), []);
+
+            assert(await acl.isAllowed("rename-bob", "rename-docs", ["view", "edit"]));
+            assert(await acl.isAllowed("rename-bob", "rename-drafts", "publish"));
+            assert(await acl.isAllowed("rename-carol", "rename-docs/1", "view"));
+            assert(!(await acl.isAllowed("rename-carol", "rename-docs", "delete")));
+            assert.deepEqual(await acl.whatResources("rename-editor"), {});
+            assert.deepEqual(await backend.get("expires_users", "rename-editor"), []);
+        });
+
+        it("should keep the expiry times of the role", async function () {
+            const snapshot = await acl.export();
+
+            assert.deepEqual(Object.keys(snapshot.users["rename-bob"].expiresAt), ["rename-author"]);
+            assert.deepEqual(Object.keys(snapshot.resources["rename-drafts"].expiresAt), ["rename-author"]);
+            assert(snapshot.roles["rename-author"]);
+            assert(!snapshot.roles["rename-editor"]);
+        });
+
+        it("should move everything of the resource to the new name", async function () {
+            await acl.renameResource("rename-docs", "rename-articles");
+
+            assert(await acl.isAllowed("rename-alice", "rename-articles", ["view", "edit"]));
+            assert(!(await acl.isAllowed("rename-alice", "rename-docs", "view")));
+            assert(!(await acl.isAllowed("rename-alice", "rename-articles", "delete")));
+            assert.equal(await acl.resourceOwner("rename-articles"), "rename-alice");
+            assert.equal(await acl.resourceOwner("rename-docs"), null);
+            assert.deepEqual(Object.keys(await acl.whatResources("rename-author")).sort(), [
+                "rename-articles",
+                "rename-docs/*",
+                "rename-drafts",
+            ]);
+            assert.deepEqual((await acl.listResources({ prefix: "rename-" })).items.sort(), [
+                "rename-articles",
+                "rename-docs/*",
+                "rename-drafts",
+            ]);
+        });
+
+        it("should rename the resource patterns", async function () {
+            await acl.renameResource("rename-docs/*", "rename-articles/*");
+
+            assert(await acl.isAllowed("rename-carol", "rename-articles/1", "view"));
+            assert(!(await acl.isAllowed("rename-carol", "rename-docs/1", "view")));
+        });
+
+        it("should refuse to overwrite an existing role or resource", async function () {
+            await assert.rejects(acl.renameRole("rename-author", "rename-guest"), /exists already/);
+            await assert.rejects(acl.renameRole("rename-chief", "rename-author"), /exists already/);
+            await assert.rejects(acl.renameResource("rename-drafts", "rename-articles"), /exists already/);
+
+            assert(await acl.isAllowed("rename-carol", "rename-drafts", "publish"));
+        });
+
+        it("should refuse to overwrite a role which is only a parent", async function () {
+            await acl.addRoleParents("rename-author", "rename-visitor");
+            await assert.rejects(acl.renameRole("rename-chief", "rename-visitor"), /exists already/);
+
+            assert.deepEqual(await acl.roleUsers("rename-visitor"), []);
+            assert.deepEqual(await acl.roleUsers("rename-chief"), ["rename-carol"]);
+        });
+    });
+
+    describe("role hierarchy queries", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend).tenant("tree");
+            await acl.addRoleParents("tree-member", "tree-guest");
+            await acl.addRoleParents("tree-editor", "tree-member");
+            await acl.addRoleParents("tree-reviewer", ["tree-member", "tree-auditor"]);
+            await acl.allow("tree-admin", "tree-blogs", "*");
+        });
+
+        it("should return the parents and the children of a role", async function () {
+            assert.deepEqual((await acl.roleParents("tree-reviewer")).sort(), ["tree-auditor", "tree-member"]);
+            assert.deepEqual(await acl.roleParents("tree-guest"), []);
+            assert.deepEqual((await acl.roleChildren("tree-member")).sort(), ["tree-editor", "tree-reviewer"]);
+            assert.deepEqual(await acl.roleChildren("tree-editor"), []);
+        });
+
+        it("should return the ancestors and the descendants of a role", async function () {
+            assert.deepEqual((await acl.roleAncestors("tree-reviewer")).sort(), [
+                "tree-auditor",
+                "tree-guest",
+                "tree-member",
+            ]);
+            assert.deepEqual((await acl.roleDescendants("tree-guest")).sort(), [
+                "tree-editor",
+                "tree-member",
+                "tree-reviewer",
+            ]);
+            assert.deepEqual(await acl.roleDescendants("tree-admin"), []);
+        });
+
+        it("should return the whole hierarchy as a tree", async function () {
+            assert.deepEqual(await acl.roleTree(), {
+                "tree-admin": {},
+                "tree-auditor": { "tree-reviewer": {} },
+                "tree-guest": { "tree-member": { "tree-editor": {}, "tree-reviewer": {} } },
+            });
+        });
+
+        it("should follow the renamed roles", async function () {
+            await acl.renameRole("tree-member", "tree-contributor");
+
+            assert.deepEqual(await acl.roleChildren("tree-guest"), ["tree-contributor"]);
+            assert.deepEqual((await acl.roleChildren("tree-contributor")).sort(), ["tree-editor", "tree-reviewer"]);
+            assert.deepEqual(await acl.roleChildren("tree-member"), []);
+        });
+
+        it("should export and import the children index", async function () {
+            const other = new Acl(backend).tenant("tree-copy");
+            await other.import(await acl.export());
+
+            assert.deepEqual((await other.roleDescendants("tree-guest")).sort(), [
+                "tree-contributor",
+                "tree-editor",
+                "tree-reviewer",
+            ]);
+        });
+
+        it("should index the children of the hierarchies stored before the index", async function () {
+            // Stored the way the versions predating the children index did.
+            const scoped = new Acl(backend).tenant("tree-legacy").backend;
+            const transaction = await scoped.begin();
+            await scoped.add(transaction, "meta", "roles", ["tree-member", "tree-editor"]);
+            await scoped.add(transaction, "parents", "tree-member", "tree-guest");
+            await scoped.add(transaction, "parents", "tree-editor", "tree-member");
+            await scoped.end(transaction);
+
+            const legacy = new Acl(backend).tenant("tree-legacy");
+            assert.deepEqual(await legacy.roleChildren("tree-guest"), ["tree-member"]);
+            assert.deepEqual((await legacy.roleDescendants("tree-guest")).sort(), ["tree-editor", "tree-member"]);
+            assert.deepEqual(await scoped.get("meta", "indexes"), ["children"]);
+        });
+    });
+
+    describe("role hierarchy cycles", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+
+            await acl.allow("cycle-a", "cycle-docs", "view");
+            await acl.allow("cycle-c", "cycle-docs", "edit");
+            await acl.addRoleParents("cycle-a", "cycle-b");
+            await acl.addRoleParents("cycle-b", "cycle-c");
+            await acl.addUserRoles("cycle-user", "cycle-a");
+        });
+
+        it("should reject a role being its own parent", async function () {
+            await assert.rejects(acl.addRoleParents("cycle-a", "cycle-a"), Acl.RoleCycleError);
+        });
+
+        it("should reject a parent which would close a cycle", async function () {
+            await assert.rejects(acl.addRoleParents("cycle-c", ["cycle-x", "cycle-a"]), (err) => {
+                assert(err instanceof Acl.RoleCycleError);
+                assert.equal(err.role, "cycle-c");
+                assert.deepEqual(err.parents, ["cycle-x", "cycle-a"]);
+                return true;
+            });
+
+            assert.deepEqual(await backend.get(acl.options.buckets.parents, "cycle-c"), []);
+        });
+
+        it("should still accept a diamond shaped hierarchy", async function () {
+            await acl.addRoleParents("cycle-a", "cycle-c");
+        });
+
+        it("should not hang on already stored cycles", async function () {
+            const transaction = await backend.begin();
+            await backend.add(transaction, acl.options.buckets.parents, "cycle-c", "cycle-a");
+            await backend.end(transaction);
+
+            assert(await acl.isAllowed("cycle-user", "cycle-docs", ["view", "edit"]));
+            assert(!(await acl.isAllowed("cycle-user", "cycle-docs", "delete")));
+
+            const permissions = await acl.allowedPermissions("cycle-user", "cycle-docs");
+            assert.deepEqual(permissions["cycle-docs"].sort(), ["edit", "view"]);
+
+            const resources = await acl.whatResources("cycle-b");
+            assert.deepEqual(resources["cycle-docs"].sort(), ["edit", "view"]);
+        });
+    });
+    describe("explain", function () {
+        let acl;
+
+        before(async function () {
+            acl = new Acl(backend);
+            acl.addCondition("explainWorkHours", (context) => Boolean(context && context.hour >= 9));
+
+            await acl.allow("explain-base", "/explain-docs/*", "view");
+            await acl.allow("explain-admin", "/explain-docs/1", "*");
+            await acl.allow("explain-editor", "/explain-docs/1", "edit", { when: "explainWorkHours" });
+            await acl.deny("explain-editor", "/explain-docs/1", "delete");
+            await acl.addRoleParents("explain-editor", ["explain-base", "explain-admin"]);
+            await acl.addUserRoles("explain-user", "explain-editor");
+        });
+
+        it("should explain which rules decided", async function () {
+            const explanation = await acl.explain("explain-user", "/explain-docs/1", ["view", "edit", "delete"]);
+
+            assert.equal(explanation.allowed, false);
+            assert.deepEqual(explanation.roles, ["explain-editor"]);
+            assert.equal(explanation.hierarchy[0].role, "explain-editor");
+            assert.deepEqual(explanation.hierarchy[0].parents.sort(), ["explain-admin", "explain-base"]);
+            assert.deepEqual(_.sortBy(explanation.hierarchy.slice(1), "role"), [
+                { role: "explain-admin", parents: [] },
+                { role: "explain-base", parents: [] },
+            ]);
+            assert.deepEqual(explanation.resources, ["/explain-docs/1", "/explain-docs/*"]);
+
+            assert.deepEqual(_.sortBy(explanation.granted.view, "role"), [
+                { role: "explain-admin", resource: "/explain-docs/1", permission: "*" },
+                { role: "explain-base", resource: "/explain-docs/*", permission: "view" },
+            ]);
+            assert.deepEqual(explanation.granted.edit, [
+                { role: "explain-admin", resource: "/explain-docs/1", permission: "*" },
+            ]);
+            assert.deepEqual(explanation.denied.delete, [
+                { role: "explain-editor", resource: "/explain-docs/1", permission: "delete" },
+            ]);
+            assert.deepEqual(explanation.missing, []);
+        });
+
+        it("should report missing permissions and conditions which hold", async function () {
+            await acl.removeRoleParents("explain-editor", "explain-admin");
+
+            let explanation = await acl.explain("explain-user", "/explain-docs/1", ["edit", "share"]);
+            assert.equal(explanation.allowed, false);
+            assert.deepEqual(explanation.missing, ["edit", "share"]);
+
+            explanation = await acl.explain("explain-user", "/explain-docs/1", "edit", { hour: 10 });
+            assert.equal(explanation.allowed, true);
+            assert.deepEqual(explanation.granted.edit, [
+                {
+                    role: "explain-editor",
+                    resource: "/explain-docs/1",
+                    permission: "edit",
+                    condition: "explainWorkHours",
+                },
+            ]);
+            assert.equal(await acl.isAllowed("explain-user", "/explain-docs/1", "edit", { hour: 10 }), true);
+        });
+
+        it("middleware should attach the explanation to the 403 error when logging", async function () {
+            const messages = [];
+            const loggingAcl = new Acl(backend, { debug: (message) => messages.push(message) });
+            const req = { originalUrl: "/explain-docs/1", method: "DELETE", session: { userId: "explain-user" } };
+
+            const error = await new Promise((resolve) => loggingAcl.middleware()(req, {}, resolve));
+
+            assert.equal(error.errorCode, 403);
+            assert.equal(error.explanation.allowed, false);
+            assert.equal(error.explanation.denied.delete[0].role, "explain-editor");
+            assert(messages.some((message) => message.startsWith("Explanation: ")));
+        });
+    });
+
+    describe("audit events", function () {
+        let acl, events;
+
+        before(function () {
+            acl = new Acl(backend);
+            events = [];
+            acl.on("mutation", (event) => events.push(event));
+            acl.on("decision", (event) => events.push(event));
+        });
+
+        beforeEach(function () {
+            events.length = 0;
+        });
+
+        it("should emit mutation events", async function () {
+            const before = new Date();
+            await acl.allow("audit-admin", "audit-docs", ["view", "edit"]);
+            await acl.addUserRoles("audit-user", "audit-admin");
+            await acl.removeAllow("audit-admin", "audit-docs", "edit");
+
+            assert.deepEqual(
+                events.map((event) => event.operation),
+                ["allow", "addUserRoles", "removeAllow"]
+            );
+            assert.deepEqual(events[1].args, { userId: "audit-user", roles: ["audit-admin"], options: undefined });
+            assert.deepEqual(events[2].args, { role: "audit-admin", resources: ["audit-docs"], permissions: ["edit"] });
+            assert(events[0].timestamp >= before);
+            assert.equal(events[0].actor, undefined);
+            assert.equal(events[0].result, undefined);
+        });
+
+        it("should emit one event for the compact allow", async function () {
+            await acl.allow([{ roles: "audit-guest", allows: [{ resources: "audit-docs", permissions: "view" }] }]);
+
+            assert.equal(events.length, 1);
+            assert.equal(events[0].operation, "allow");
+        });
+
+        it("should emit decision events with the result", async function () {
+            await acl.isAllowed("audit-user", "audit-docs", "view");
+            await acl.isAllowed("audit-user", "audit-docs", "edit");
+
+            assert.deepEqual(
+                events.map((event) => [event.operation, event.args.permissions, event.result]),
+                [
+                    ["isAllowed", "view", true],
+                    ["isAllowed", "edit", false],
+                ]
+            );
+        });
+
+        it("should report the actor and the tenant", async function () {
+            await acl.withActor("audit-root").removeUserRoles("audit-user", "audit-admin");
+            await acl.tenant("audit-org").withActor("audit-root").addUserRoles("audit-user", "audit-admin");
+
+            assert.equal(events[0].actor, "audit-root");
+            assert.equal(events[0].tenant, undefined);
+            assert.equal(events[1].actor, "audit-root");
+            assert.equal(events[1].tenant, "audit-org");
+        });
+
+        it("should not emit events for failed mutations", async function () {
+            await acl.addRoleParents("audit-child", "audit-parent");
+            events.length = 0;
+
+            await assert.rejects(acl.addRoleParents("audit-parent", "audit-child"), Acl.RoleCycleError);
+            assert.deepEqual(events, []);
+        });
+    });
+
+    describe("cache", function () {
+        let acl, reads;
+
+        function countingBackend() {
+            return wrappedBackend((method, args) => {
+                if (method === "get" || method.startsWith("union")) reads++;
+                return backend[method](...args);
+            });
+        }
+
+        before(async function () {
+            acl = new Acl(countingBackend(), null, { cache: { max: 100 } });
+            await acl.allow("cache-base", "cache-docs", "view");
+            await acl.allow("cache-editor", "cache-docs", "edit");
+            await acl.addRoleParents("cache-editor", "cache-base");
+            await acl.addUserRoles("cache-alice", "cache-editor");
+            await acl.addUserRoles("cache-bob", "cache-base");
+        });
+
+        beforeEach(function () {
+            reads = 0;
+        });
+
+        it("should serve repeated lookups from memory", async function () {
+            assert.equal(await acl.isAllowed("cache-alice", "cache-docs", "edit"), true);
+            assert(reads > 0);
+
+            reads = 0;
+            assert.equal(await acl.isAllowed("cache-alice", "cache-docs", "edit"), true);
+            assert.deepEqual(await acl.userRoles("cache-alice"), ["cache-editor"]);
+            assert.equal(reads, 0);
+        });
+
+        it("should invalidate the entries affected by mutations", async function () {
+            await acl.removeAllow("cache-editor", "cache-docs", "edit");
+            assert.equal(await acl.isAllowed("cache-alice", "cache-docs", "edit"), false);
+
+            await acl.allow("cache-base", "cache-docs", "edit");
+            assert.equal(await acl.isAllowed("cache-alice", "cache-docs", "edit"), true);
+
+            await acl.removeRoleParents("cache-editor", "cache-base");
+            assert.equal(await acl.isAllowed("cache-alice", "cache-docs", "edit"), false);
+
+            await acl.addRoleParents("cache-editor", "cache-base");
+            await acl.removeUserRoles("cache-alice", "cache-editor");
+            assert.equal(await acl.isAllowed("cache-alice", "cache-docs", "view"), false);
+            assert.deepEqual(await acl.userRoles("cache-alice"), []);
+
+            await acl.addUserRoles("cache-alice", "cache-editor");
+            assert.equal(await acl.isAllowed("cache-alice", "cache-docs", "view"), true);
+        });
+
+        it("should invalidate only the affected entries", async function () {
+            assert.equal(await acl.isAllowed("cache-bob", "cache-docs", "view"), true);
+            await acl.addUserRoles("cache-alice", "cache-base");
+
+            reads = 0;
+            assert.equal(await acl.isAllowed("cache-bob", "cache-docs", "view"), true);
+            assert.equal(reads, 0);
+        });
+
+        it("should still honour the expiry of the time-limited roles", async function () {
+            await acl.addUserRoles("cache-carol", "cache-base", { expiresAt: Date.now() + 50 });
+            assert.equal(await acl.isAllowed("cache-carol", "cache-docs", "view"), true);
+
+            await new Promise((resolve) => setTimeout(resolve, 60));
+            assert.equal(await acl.isAllowed("cache-carol", "cache-docs", "view"), false);
+        });
+
+        it("should keep at most `max` entries", async function () {
+            const smallAcl = new Acl(countingBackend(), null, { cache: { max: 2 } });
+            await smallAcl.userRoles("cache-alice");
+            await smallAcl.userRoles("cache-bob");
+            await smallAcl.userRoles("cache-carol");
+            assert.equal(smallAcl.backend._entries.size, 2);
+
+            reads = 0;
+            await smallAcl.userRoles("cache-carol");
+            assert.equal(reads, 0);
+            await smallAcl.userRoles("cache-alice");
+            assert(reads > 0);
+        });
+
+        it("should expire the entries after `ttl` seconds", async function () {
+            const shortAcl = new Acl(countingBackend(), null, { cache: { ttl: 0.02 } });
+            await shortAcl.userRoles("cache-alice");
+
+            reads = 0;
+            await shortAcl.userRoles("cache-alice");
+            assert.equal(reads, 0);
+
+            await new Promise((resolve) => setTimeout(resolve, 30));
+            await shortAcl.userRoles("cache-alice");
+            assert(reads > 0);
+        });
+
+        it("should invalidate the entries changed by other processes", async function () {
+            let changed;
+            const watching = countingBackend();
+            watching.watch = async (listener) => {
+                changed = listener;
+            };
+            const watchingAcl = new Acl(watching, null, { cache: {} });
+            assert.deepEqual(await watchingAcl.userRoles("cache-bob"), ["cache-base"]);
+
+            // Another process changes the storage.
+            const transaction = await backend.begin();
+            await backend.add(transaction, "users", "cache-bob", "cache-editor");
+            await backend.end(transaction);
+            assert.deepEqual(await watchingAcl.userRoles("cache-bob"), ["cache-base"]);
+
+            changed("users", ["cache-bob"]);
+            assert.deepEqual((await watchingAcl.userRoles("cache-bob")).sort(), ["cache-base", "cache-editor"]);
+
+            await acl.removeUserRoles("cache-bob", "cache-editor");
+            changed();
+            assert.deepEqual(await watchingAcl.userRoles("cache-bob"), ["cache-base"]);
+        });
+
+        it("should keep serving the lookups when watching the changes fails", async function () {
+            let subscriptions = 0;
+            const logged = [];
+            const watching = countingBackend();
+            watching.watch = async () => {
+                subscriptions++;
+                throw new Error("NOPERM subscribe");
+            };
+            const logger = { debug: (message) => logged.push(message) };
+            const watchingAcl = new Acl(watching, logger, { cache: {} });
+
+            assert.equal(await watchingAcl.isAllowed("cache-bob", "cache-docs", "view"), true);
+            assert.deepEqual(await watchingAcl.userRoles("cache-bob"), ["cache-base"]);
+
+            reads = 0;
+            assert.deepEqual(await watchingAcl.userRoles("cache-bob"), ["cache-base"]);
+            assert.equal(reads, 0);
+            assert.equal(subscriptions, 1);
+            assert(logged.some((message) => /NOPERM subscribe/.test(message)));
+        });
+    });
+
+    describe("export and import", function () {
+        const expiresAt = Date.now() + 3600 * 1000;
+        let acl, source, snapshot;
+
+        before(async function () {
+            acl = new Acl(backend);
+            source = acl.tenant("export-source");
+
+            await source.allow("export-base", "export-docs", "view");
+            await source.allow("export-editor", "export-docs", "edit", { when: "exportWorkHours" });
+            await source.allow("export-editor", "/export-blogs/*", "publish", { expiresAt });
+            await source.deny("export-editor", "export-docs", "delete");
+            await source.addRoleParents("export-editor", "export-base");
+            await source.addUserRoles("export-alice", "export-editor");
+            await source.addUserRoles("export-bob", "export-base", { expiresAt });
+            await source.addUserRoles("export-gone", "export-base", { expiresAt: Date.now() - 1000 });
+            await source.setResourceOwner("export-docs", "export-bob");
+
+            snapshot = await source.export();
+        });
+
+        it("should export the whole acl", function () {
+            assert.deepEqual(snapshot, {
+                version: 1,
+                users: {
+                    "export-alice": { roles: ["export-editor"] },
+                    "export-bob": { roles: ["export-base"], expiresAt: { "export-base": expiresAt } },
+                },
+                roles: {
+                    "export-base": { parents: [] },
+                    "export-editor": { parents: ["export-base"] },
+                },
+                resources: {
+                    "export-docs": {
+                        owner: "export-bob",
+                        allows: { "export-base": ["view"], "export-editor": ["edit?exportWorkHours"] },
+                        denies: { "export-editor": ["delete"] },
+                    },
+                    "/export-blogs/*": {
+                        allows: { "export-editor": ["publish"] },
+                        expiresAt: { "export-editor": { publish: expiresAt } },
+                        denies: {},
+                    },
+                },
+            });
+            assert.deepEqual(JSON.parse(JSON.stringify(snapshot)), snapshot);
+        });
+
+        it("should import a snapshot into an empty acl", async function () {
+            const target = acl.tenant("export-copy");
+            await target.import(snapshot);
+
+            assert.deepEqual(await target.export(), snapshot);
+            assert.equal(await target.isAllowed("export-alice", "/export-blogs/1", "publish"), true);
+            assert.equal(await target.isAllowed("export-alice", "export-docs", "delete"), false);
+            assert.equal(await target.isAllowed("export-gone", "export-docs", "view"), false);
+            assert.equal(await target.resourceOwner("export-docs"), "export-bob");
+        });
+
+        it("should merge a snapshot into the existing acl", async function () {
+            const target = acl.tenant("export-merge");
+            await target.allow("export-other", "export-docs", "view");
+            await target.addUserRoles("export-carol", "export-other");
+            await target.addUserRoles("export-alice", "export-editor", { expiresAt: Date.now() - 1000 });
+
+            await target.import(snapshot, { mode: "merge" });
+
+            assert.deepEqual(await target.userRoles("export-carol"), ["export-other"]);
+            assert.deepEqual(await target.userRoles("export-alice"), ["export-editor"]);
+            assert.equal(await target.isAllowed("export-carol", "export-docs", "view"), true);
+            assert.equal(await target.isAllowed("export-bob", "export-docs", "view"), true);
+        });
+
+        it("should replace the existing acl", async function () {
+            const target = acl.tenant("export-replace");
+            await target.allow("export-other", "export-docs", "view");
+            await target.addUserRoles("export-carol", "export-other");
+            await target.addRoleParents("export-base", "export-other");
+
+            await target.import(snapshot, { mode: "replace" });
+
+            assert.deepEqual(await target.export(), snapshot);
+            assert.deepEqual(await target.userRoles("export-carol"), []);
+            assert.equal(await target.isAllowed("export-bob", "export-docs", "view"), true);
+        });
+
+        it("should reject unknown modes and versions", async function () {
+            await assert.rejects(acl.import(snapshot, { mode: "overwrite" }), /Unknown import mode "overwrite"/);
+            await assert.rejects(acl.import({ ...snapshot, version: 2 }), /Unsupported snapshot version: 2/);
+        });
+    });
+
+    describe("applyPolicy", function () {
+        let acl;
+
+        const policy = [
+            {
+                roles: "policy-member",
+                allows: [{ resources: "policy-blogs", permissions: ["view", "comment"] }],
+                users: ["policy-alice", "policy-bob"],
+            },
+            {
+                roles: "policy-admin",
+                allows: [{ resources: ["policy-blogs", "policy-users"], permissions: "*" }],
+                parents: "policy-member",
+            },
+        ];
+
+        before(function () {
+            acl = new Acl(backend).tenant("policy");
+        });
+
+        it("should apply the whole policy to an empty acl", async function () {
+            const changes = await acl.applyPolicy(policy);
+
+            assert.deepEqual(changes.map((change) => change.operation).sort(), [
+                "addRoleParents",
+                "addUserRoles",
+                "addUserRoles",
+                "allow",
+                "allow",
+                "allow",
+            ]);
+            assert.equal(await acl.isAllowed("policy-alice", "policy-blogs", "comment"), true);
+            assert.equal(await acl.isAllowed("policy-bob", "policy-users", "delete"), false);
+            const resources = await acl.whatResources("policy-admin");
+            assert.deepEqual(resources["policy-blogs"].sort(), ["*", "comment", "view"]);
+            assert.deepEqual(resources["policy-users"], ["*"]);
+            assert.deepEqual(await acl.userRoles("policy-bob"), ["policy-member"]);
+        });
+
+        it("should apply nothing when the acl is in line", async function () {
+            assert.deepEqual(await acl.applyPolicy(policy, { prune: true }), []);
+        });
+
+        it("should only add what is missing without `prune`", async function () {
+            await acl.allow("policy-member", "policy-blogs", "edit");
+            await acl.allow("policy-member", "policy-blogs", "view", { ttl: 60 });
+            await acl.allow("policy-stale", "policy-blogs", "delete");
+
+            const changes = await acl.applyPolicy(policy);
+
+            assert.deepEqual(changes, [{ operation: "allow", args: ["policy-member", "policy-blogs", ["view"]] }]);
+            assert.equal((await acl.export()).resources["policy-blogs"].expiresAt, undefined);
+            assert.deepEqual(await acl.whatResources("policy-stale"), { "policy-blogs": ["delete"] });
+        });
+
+        it("should remove what the policy does not list with `prune`", async function () {
+            await acl.addRoleParents("policy-admin", "policy-stale");
+            await acl.addUserRoles("policy-carol", "policy-member");
+
+            const changes = await acl.applyPolicy(policy, { prune: true });
+
+            assert.deepEqual(_.sortBy(changes, "operation"), [
+                { operation: "removeAllow", args: ["policy-member", "policy-blogs", ["edit"]] },
+                { operation: "removeRole", args: ["policy-stale"] },
+                { operation: "removeRoleParents", args: ["policy-admin", ["policy-stale"]] },
+                { operation: "removeUserRoles", args: ["policy-carol", "policy-member"] },
+            ]);
+            assert.equal(await acl.isAllowed("policy-alice", "policy-blogs", "edit"), false);
+            assert.deepEqual(await acl.whatResources("policy-stale"), {});
+            assert.deepEqual(await acl.userRoles("policy-carol"), []);
+            assert.deepEqual(await acl.applyPolicy(policy, { prune: true }), []);
+        });
+
+        it("should replace the parents without seeing a cycle", async function () {
+            await acl.applyPolicy(
+                [
+                    { roles: "policy-member", parents: "policy-admin" },
+                    { roles: "policy-admin", allows: [{ resources: "policy-users", permissions: "*" }] },
+                ],
+                { prune: true }
+            );
+
+            assert.deepEqual(await acl._rolesParents(["policy-member"]), ["policy-admin"]);
+            assert.deepEqual(await acl._rolesParents(["policy-admin"]), []);
+        });
+
+        it("should keep the parents the policy does not list in a single `prune` pass", async function () {
+            const pruned = new Acl(backend).tenant("policy-parents");
+            await pruned.allow("policy-guest", "policy-blogs", "view");
+            const parentPolicy = [{ roles: "policy-member", parents: "policy-guest" }];
+
+            const changes = await pruned.applyPolicy(parentPolicy, { prune: true });
+
+            assert.deepEqual(changes, [{ operation: "addRoleParents", args: ["policy-member", ["policy-guest"]] }]);
+            assert.deepEqual(await pruned.roleParents("policy-member"), ["policy-guest"]);
+            assert.deepEqual(await pruned.applyPolicy(parentPolicy, { prune: true }), []);
+        });
+    });
+
+    describe("failed transactions", function () {
+        it("should roll back a transaction failing halfway", async function () {
+            const rolledBack = [];
+            const failing = wrappedBackend();
+            failing.add = async (transaction, bucket, ...args) => {
+                if (bucket === "resources") throw new Error("Failed halfway");
+                return await backend.add(transaction, bucket, ...args);
+            };
+            failing.rollback = async (transaction) => {
+                rolledBack.push(transaction);
+                if (backend.rollback) await backend.rollback(transaction);
+            };
+
+            const acl = new Acl(failing);
+            await assert.rejects(acl.allow("rollback-role", "rollback-docs", "view"), /Failed halfway/);
+
+            assert.equal(rolledBack.length, 1);
+            const rawAcl = new Acl(backend);
+            assert.deepEqual(await rawAcl.whatResources("rollback-role"), {});
+            assert.equal(await rawAcl.areAnyRolesAllowed("rollback-role", "rollback-docs", "view"), false);
+        });
+
+        it("should roll back the removal of a role failing halfway", async function () {
+            const rolledBack = [];
+            const failing = wrappedBackend();
+            failing.del = async (transaction, bucket, ...args) => {
+                if (bucket === "parents") throw new Error("Failed halfway");
+                return await backend.del(transaction, bucket, ...args);
+            };
+            failing.rollback = async (transaction) => {
+                rolledBack.push(transaction);
+                if (backend.rollback) await backend.rollback(transaction);
+            };
+
+            const rawAcl = new Acl(backend);
+            await rawAcl.allow("rollback-removed", "rollback-files", "view");
+            await rawAcl.addRoleParents("rollback-removed", "rollback-parent");
+
+            const acl = new Acl(failing);
+            await assert.rejects(acl.removeRole("rollback-removed"), /Failed halfway/);
+
+            assert.equal(rolledBack.length, 1);
+            assert.deepEqual(await rawAcl.whatResources("rollback-removed"), { "rollback-files": ["view"] });
+            assert.deepEqual(await rawAcl.roleParents("rollback-removed"), ["rollback-parent"]);
+        });
+    });
+
+    describe("rules gathered by the backend", function () {
+        it("should decide with the rules the backend gathered in a single query", async function () {
+            const queries = [];
+            const gathering = {
+                get: () => assert.fail("Unexpected read"),
+                union: () => assert.fail("Unexpected read"),
+                userRules: async (...args) => {
+                    queries.push(args);
+                    if (args[1] === "stranger") return { roles: [], allowed: [], denied: [] };
+                    return { roles: ["member"], allowed: ["view", "edit?workHours"], denied: ["delete"] };
+                },
+            };
+
+            const acl = new Acl(gathering);
+            let workHours = true;
+            acl.addCondition("workHours", () => workHours);
+
+            assert.equal(await acl.isAllowed("joed", "blogs", ["view", "edit"]), true);
+            assert.equal(await acl.isAllowed("joed", "blogs", ["view", "delete"]), false);
+            assert.equal(await acl.isAllowed("stranger", "blogs", []), false);
+            workHours = false;
+            assert.equal(await acl.isAllowed("joed", "blogs", "edit"), false);
+
+            assert.equal(queries.length, 4);
+            assert.deepEqual(queries[0].slice(1), ["joed", "blogs", "owner"]);
+            assert.equal(queries[0][0].allows, "allows_");
+        });
+
+        it("should read the buckets itself when the Redis backend is told not to gather the rules", async function () {
+            const reads = [];
+            const redis = {
+                sMembers: async (key) => reads.push(key) && [],
+                sUnion: async (keys) => reads.push(...keys) && [],
+                multi: () => {
+                    const replies = [];
+                    return {
+                        sUnion: (keys) => reads.push(...keys) && replies.push([]),
+                        exec: async () => replies,
+                    };
+                },
+                eval: () => assert.fail("Unexpected script"),
+                evalSha: () => assert.fail("Unexpected script"),
+            };
+
+            assert.equal(typeof new Acl.redisBackend({ redis }).userRules, "function");
+            const acl = new Acl(new Acl.redisBackend({ redis, userRules: false }));
+
+            assert.equal(await acl.isAllowed("joed", "blogs", "view"), false);
+            assert.ok(reads.includes("acl__users@joed"));
+        });
+    });
+
+    describe("hierarchy walked by the backend", function () {
+        it("should look the permissions up along with the ancestors of the roles", async function () {
+            const queries = [];
+            const walking = wrappedBackend();
+            walking.hierarchyUnions = async (parentsBucket, roles, buckets) => {
+                queries.push(roles);
+                const allRoles = await new Acl(backend)._allRoles(roles);
+                const unions = {};
+                for (const bucket of buckets) {
+                    unions[bucket] = await backend.union(bucket, allRoles);
+                }
+                return { roles: allRoles, unions };
+            };
+
+            const acl = new Acl(walking);
+            await acl.allow("walk-guest", "walk-blogs", "view");
+            await acl.allow("walk-member", "walk-blogs", "edit");
+            await acl.addRoleParents("walk-member", "walk-guest");
+            await acl.addUserRoles("walk-joed", "walk-member");
+
+            assert.equal(await acl.isAllowed("walk-joed", "walk-blogs", ["view", "edit"]), true);
+            assert.deepEqual((await acl.allowedPermissions("walk-joed", "walk-blogs"))["walk-blogs"].sort(), [
+                "edit",
+                "view",
+            ]);
+            assert.deepEqual(queries, [["walk-member"], ["walk-member"]]);
+        });
+    });
 });
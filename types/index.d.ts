@@ -1,5 +1,6 @@
 declare module "acl2" {
   import { Db } from "mongodb";
+  import { EventEmitter } from "events";
   interface RolePermission {
     roles: string | string[];
     allows: {
@@ -8,40 +9,182 @@ declare module "acl2" {
     }[];
   }
 
-  class Acl {
-    constructor(backend: Acl.MongoBackend | Acl.Backend);
+  interface ExpiryOptions {
+    expiresAt?: Date | number;
+    ttl?: number;
+  }
+
+  interface AllowOptions extends ExpiryOptions {
+    when?: string;
+  }
+
+  type Condition = (context: any, details: { resource: string; permission: string }) => boolean | Promise<boolean>;
+
+  interface ExplainedRule {
+    role: string;
+    resource: string;
+    permission: string;
+    condition?: string;
+  }
+
+  interface Explanation {
+    allowed: boolean;
+    userId: string;
+    resource: string;
+    permissions: string[];
+    roles: string[];
+    hierarchy: { role: string; parents: string[] }[];
+    resources: string[];
+    granted: Record<string, ExplainedRule[]>;
+    denied: Record<string, ExplainedRule[]>;
+    missing: string[];
+  }
+
+  interface AuditEvent {
+    operation: string;
+    args: Record<string, any>;
+    result?: any;
+    actor?: string | object;
+    tenant?: string;
+    timestamp: Date;
+  }
+
+  interface Snapshot {
+    version: 1;
+    users: Record<string, { roles: string[]; expiresAt?: Record<string, number> }>;
+    roles: Record<string, { parents: string[] }>;
+    resources: Record<
+      string,
+      {
+        owner?: string;
+        allows: Record<string, string[]>;
+        expiresAt?: Record<string, Record<string, number>>;
+        denies: Record<string, string[]>;
+      }
+    >;
+  }
+
+  interface PolicyEntry {
+    roles: string | string[];
+    allows?: {
+      resources: string | string[];
+      permissions: string | string[];
+    }[];
+    parents?: string | string[];
+    users?: string | string[];
+  }
+
+  interface ListOptions {
+    prefix?: string;
+    limit?: number;
+    cursor?: string;
+  }
+
+  interface Page {
+    items: string[];
+    cursor?: string;
+  }
+
+  interface RoleTree {
+    [role: string]: RoleTree;
+  }
+
+  interface CacheOptions {
+    max?: number;
+    ttl?: number;
+  }
+
+  interface AclOptions {
+    buckets?: Record<string, string>;
+    ownerRole?: string;
+    cache?: CacheOptions;
+  }
+
+  class Acl extends EventEmitter {
+    constructor(backend: Acl.MongoBackend | Acl.Backend, logger?: any, options?: AclOptions);
+
+    allow(rolesPermissions: RolePermission[] | string | string[], resources?: string | string[], permissions?: string | string[], options?: AllowOptions): Promise<void>;
 
-    allow(rolesPermissions: RolePermission[] | string, resources?: string | string[], permissions?: string | string[]): Promise<void>;
+    addCondition(name: string, condition: Condition): void;
 
-    addUserRoles(userId: string, roles: string | string[]): Promise<void>;
+    addUserRoles(userId: string, roles: string | string[], options?: ExpiryOptions): Promise<void>;
 
     removeUserRoles(userId: string, roles: string | string[]): Promise<void>;
 
+    removeUser(userId: string): Promise<void>;
+
+    purgeExpiredRoles(): Promise<number>;
+
     userRoles(userId: string): Promise<string[]>;
 
+    roleUsers(role: string): Promise<string[]>;
+
     hasRole(userId: string, role: string): Promise<boolean>;
 
+    listUsers(options?: ListOptions): Promise<Page>;
+
+    listRoles(options?: ListOptions): Promise<Page>;
+
+    listResources(options?: ListOptions): Promise<Page>;
+
     addRoleParents(role: string, parents: string | string[]): Promise<void>;
 
     removeRoleParents(role: string, parents: string | string[]): Promise<void>;
 
+    roleParents(role: string): Promise<string[]>;
+
+    roleChildren(role: string): Promise<string[]>;
+
+    roleAncestors(role: string): Promise<string[]>;
+
+    roleDescendants(role: string): Promise<string[]>;
+
+    roleTree(): Promise<RoleTree>;
+
     whatResources(roles: string | string[]): Promise<Record<string, string[]>>;
 
-    isAllowed(userId: string, resources: string | string[], permissions: string | string[]): Promise<boolean>;
+    isAllowed(userId: string, resources: string | string[], permissions: string | string[], context?: object): Promise<boolean>;
+
+    areAnyRolesAllowed(roles: string | string[], resources: string | string[], permissions: string | string[], context?: object): Promise<boolean>;
 
-    areAnyRolesAllowed(roles: string | string[], resources: string | string[], permissions: string | string[]): Promise<boolean>;
+    explain(userId: string, resource: string, permissions: string | string[], context?: object): Promise<Explanation>;
 
     removeResource(resource: string | string[]): Promise<void>;
+
+    renameResource(oldName: string, newName: string): Promise<void>;
+
+    setResourceOwner(resource: string, userId: string): Promise<void>;
+    removeResourceOwner(resource: string): Promise<void>;
+    resourceOwner(resource: string): Promise<string | null>;
+
     removeRole(role: string): Promise<void>;
 
+    renameRole(oldName: string, newName: string): Promise<void>;
+
     middleware(
       numPathComponents?: number,
       userId?: (req: any) => string,
       actions?: string | string[]
     ): (req: any, res: any, next: (err?: any) => void) => void;
 
+    export(): Promise<Snapshot>;
+
+    import(snapshot: Snapshot, options?: { mode?: "merge" | "replace" }): Promise<void>;
+
+    applyPolicy(policy: PolicyEntry[], options?: { prune?: boolean }): Promise<{ operation: string; args: any[] }[]>;
+
+    tenant(name: string): Acl;
+
+    withActor(actor: string | object): Acl;
+
+    on(event: "mutation" | "decision", listener: (event: AuditEvent) => void): this;
+
     removeAllow(role: string, resources: string | string[], permissions?: string | string[]): Promise<void>;
 
+    deny(roles: string | string[], resources: string | string[], permissions: string | string[]): Promise<void>;
+
+    removeDeny(role: string, resources: string | string[], permissions?: string | string[]): Promise<void>;
+
   }
 
   namespace Acl {
@@ -53,16 +196,31 @@ declare module "acl2" {
       new (): Backend;
     }
 
+    class RoleCycleError extends Error {
+      role: string;
+      parents: string[];
+    }
+
     function mongodbBackend(db: Db, prefix: string): void;
 
     // Memory Backend
     function memoryBackend(): void;
 
     // Redis Backend
-    function redisBackend(client: any, prefix: string): Backend;
+    function redisBackend(options: { redis: any; prefix?: string; metaBucket?: string; userRules?: boolean }): Backend;
+
+    // SQL Backend, PostgreSQL or SQLite
+    function sqlBackend(options: { pool?: any; db?: any; prefix?: string }): Backend;
+
+    // File Backend
+    function fileBackend(options: { path: string; compactAfter?: number; logger?: any }): Backend;
   }
 
   // Export the ACL class for use
   export = Acl;
 }
 
+declare module "acl2/conformance" {
+  function conformance(createBackend: () => any): void;
+  export = conformance;
+}